@@ -1,36 +1,556 @@
 const express = require('express');
 const cors = require('cors');
 const fs = require('fs').promises;
+const { readFileSync, existsSync } = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const http = require('http');
 const https = require('https');
+const EventEmitter = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const { spawn, spawnSync } = require('child_process');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
 
 // Middleware
+// Give every request an ID, taken from a well-formed X-Request-Id header or
+// generated, and echo it back. Each request is logged once with its route,
+// status, latency and cache outcome, when it finishes or when the client
+// disconnects first (marked aborted)
+app.use((req, res, next) => {
+  const supplied = req.get('X-Request-Id');
+  const start = process.hrtime.bigint();
+  let logged = false;
+  
+  req.id = supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  
+  const logRequest = () => {
+    if (logged) return;
+    logged = true;
+    runForRequest(req.id, () => logger[res.statusCode >= 500 ? 'warn' : 'info']('request', {
+      method: req.method,
+      path: req.originalUrl,
+      route: req.route ? req.baseUrl + req.route.path : 'unmatched',
+      status: res.statusCode,
+      latencyMs: Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10,
+      cache: res.locals.cache,
+      client: req.apiKey ? req.apiKey.name : undefined,
+      aborted: res.writableFinished ? undefined : true
+    }));
+  };
+  res.on('finish', logRequest);
+  res.on('close', logRequest);
+  
+  next();
+});
+
 app.use(cors({
-  origin: ['http://localhost:3000', 'http://localhost:5173', 'http://127.0.0.1:3000', 'http://127.0.0.1:5173'],
+  // Read per request so CORS_ORIGINS can be reloaded
+  origin: (origin, callback) => callback(null, AUDIO_CONFIG.CORS_ORIGINS.includes(origin)),
   credentials: true
 }));
-app.use(express.json());
+// /audio/batch parses its own body with the larger MAX_BATCH_BYTES limit
+const parseJson = express.json();
+app.use((req, res, next) => (req.path === '/audio/batch' ? next() : parseJson(req, res, next)));
+
+// Enter the request's log context after body parsing, whose stream callbacks
+// would otherwise run outside it
+app.use((req, res, next) => runForRequest(req.id, next));
+
+// Time every request for the request duration histogram, labelled with the
+// matched route pattern so cache keys and IDs don't create new series
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint();
+  
+  res.on('finish', () => {
+    observeHistogram('http_request_duration_seconds', {
+      method: req.method,
+      route: req.route ? req.baseUrl + req.route.path : 'unmatched',
+      status: String(res.statusCode)
+    }, Number(process.hrtime.bigint() - start) / 1e9);
+  });
+  
+  next();
+});
 
 // In-memory cache for audio URLs and metadata
 let audioCache = new Map();
 let preloadQueue = new Map();
 let requestMetrics = new Map();
 
-// Audio service configuration
-const AUDIO_CONFIG = {
+// Prometheus histograms: metric name -> label set -> bucket counts
+const histograms = new Map();
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.3, 0.5, 1, 2.5, 5, 10];
+
+// Preload progress events, emitted under the preload ID
+const preloadEvents = new EventEmitter();
+preloadEvents.setMaxListeners(0);
+
+// Open Server-Sent Event responses, ended when the service stops
+const eventStreams = new Set();
+
+// Injectable dependencies, replaced by createAudioService options. logSink
+// receives structured log records; without one they go to stdout/stderr
+let upstreamFetch = fetchUrl;
+let clock = { now: () => Date.now() };
+let logSink = null;
+
+// Request ID of the current request, carried into the background work it starts
+const requestContext = new AsyncLocalStorage();
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Log levels in increasing severity. LOG_LEVEL silent turns logging off
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Structured logger: logger.info(msg, fields) writes one JSON line
+const logger = Object.fromEntries(LOG_LEVELS.map(level => [level, (msg, fields) => writeLog(level, msg, fields)]));
+
+// Audio service configuration defaults. Each key can be overridden by the
+// config file, and then by an environment variable of the same name
+const CONFIG_DEFAULTS = {
   TTS_BASE_URL: 'https://translate.google.com/translate_tts',
   MAX_CACHE_SIZE: 1000,
+  CACHE_TTL_MS: null,
+  MAX_ENTRY_TTL: 30 * 24 * 60 * 60,
   PRELOAD_TIMEOUT: 5000,
+  PRELOAD_CONCURRENCY: 3,
+  PRELOAD_RETRIES: 2,
+  PRELOAD_RETRY_DELAY: 500,
+  DECK_CONCURRENCY: 2,
+  DECK_ITEM_DELAY: 100,
+  MAX_DECK_SIZE: 5000,
+  MAX_PACK_BYTES: 100 * 1024 * 1024,
+  MAX_BATCH_BYTES: 1024 * 1024,
+  MAX_BATCH_ITEMS: 500,
   SUPPORTED_LANGUAGES: ['zh-CN', 'zh-TW'],
-  DEFAULT_LANGUAGE: 'zh-CN'
+  DEFAULT_LANGUAGE: 'zh-CN',
+  MAX_TEXT_LENGTH: 1000,
+  SEGMENT_LENGTH: 100,
+  BREAKDOWN_MAX_LENGTH: 10,
+  TTS_PROVIDERS: ['google', 'espeak', 'http'],
+  UPSTREAM_TIMEOUT: 10000,
+  BREAKER_FAILURE_THRESHOLD: 5,
+  BREAKER_RESET_TIMEOUT: 30000,
+  ESPEAK_COMMAND: 'espeak-ng',
+  HTTP_TTS_BASE_URL: null,
+  HTTP_TTS_VOICES: ['default'],
+  HTTP_TTS_GENDERS: [],
+  AUDIO_DIR: path.join(__dirname, 'storage', 'audio'),
+  DISK_CACHE_MAX_BYTES: 100 * 1024 * 1024,
+  OVERRIDES_DIR: path.join(__dirname, 'storage', 'overrides'),
+  MAX_OVERRIDE_BYTES: 10 * 1024 * 1024,
+  PERSISTENCE_ENABLED: true,
+  STATE_DIR: path.join(__dirname, 'storage', 'state'),
+  SNAPSHOT_INTERVAL: 60000,
+  SHUTDOWN_TIMEOUT: 10000,
+  API_KEYS: '',
+  API_KEYS_FILE: null,
+  AUDIT_LOG_FILE: path.join(__dirname, 'storage', 'audit.log'),
+  AUDIT_LOG_SIZE: 1000,
+  RATE_LIMIT_ENABLED: true,
+  RATE_LIMITS: {
+    audio: { capacity: 60, refillPerSecond: 1 },
+    batch: { capacity: 1000, refillPerSecond: 5 },
+    play: { capacity: 120, refillPerSecond: 2 },
+    preload: { capacity: 20, refillPerSecond: 0.2 },
+    upstream: { capacity: 30, refillPerSecond: 0.5 }
+  },
+  CORS_ORIGINS: ['http://localhost:3000', 'http://localhost:5173', 'http://127.0.0.1:3000', 'http://127.0.0.1:5173'],
+  LOG_LEVEL: 'info',
+  LOG_REDACT: ['authorization', 'x-api-key', 'apiKey', 'cookie']
+};
+
+// Validation rules per configuration key. Reloadable keys take effect on
+// SIGHUP or POST /config/reload; the rest need a restart
+const CONFIG_SCHEMA = {
+  TTS_BASE_URL: { type: 'string' },
+  MAX_CACHE_SIZE: { type: 'integer', min: 1, reloadable: true },
+  CACHE_TTL_MS: { type: 'integer', min: 1, nullable: true, reloadable: true },
+  MAX_ENTRY_TTL: { type: 'integer', min: 1, reloadable: true },
+  PRELOAD_TIMEOUT: { type: 'integer', min: 1, reloadable: true },
+  PRELOAD_CONCURRENCY: { type: 'integer', min: 1, reloadable: true },
+  PRELOAD_RETRIES: { type: 'integer', min: 0, reloadable: true },
+  PRELOAD_RETRY_DELAY: { type: 'integer', min: 0, reloadable: true },
+  DECK_CONCURRENCY: { type: 'integer', min: 1, reloadable: true },
+  DECK_ITEM_DELAY: { type: 'integer', min: 0, reloadable: true },
+  MAX_DECK_SIZE: { type: 'integer', min: 1, reloadable: true },
+  MAX_PACK_BYTES: { type: 'integer', min: 1 },
+  MAX_BATCH_BYTES: { type: 'integer', min: 1, reloadable: true },
+  MAX_BATCH_ITEMS: { type: 'integer', min: 1, reloadable: true },
+  SUPPORTED_LANGUAGES: { type: 'list', minItems: 1 },
+  DEFAULT_LANGUAGE: { type: 'string' },
+  MAX_TEXT_LENGTH: { type: 'integer', min: 1, reloadable: true },
+  SEGMENT_LENGTH: { type: 'integer', min: 1 },
+  BREAKDOWN_MAX_LENGTH: { type: 'integer', min: 1, reloadable: true },
+  TTS_PROVIDERS: { type: 'list', values: ['google', 'espeak', 'http'] },
+  UPSTREAM_TIMEOUT: { type: 'integer', min: 1, reloadable: true },
+  BREAKER_FAILURE_THRESHOLD: { type: 'integer', min: 1, reloadable: true },
+  BREAKER_RESET_TIMEOUT: { type: 'integer', min: 1, reloadable: true },
+  ESPEAK_COMMAND: { type: 'string' },
+  HTTP_TTS_BASE_URL: { type: 'string', nullable: true },
+  HTTP_TTS_VOICES: { type: 'list', minItems: 1 },
+  HTTP_TTS_GENDERS: { type: 'list' },
+  AUDIO_DIR: { type: 'string' },
+  DISK_CACHE_MAX_BYTES: { type: 'integer', min: 1, reloadable: true },
+  OVERRIDES_DIR: { type: 'string' },
+  MAX_OVERRIDE_BYTES: { type: 'integer', min: 1 },
+  PERSISTENCE_ENABLED: { type: 'boolean' },
+  STATE_DIR: { type: 'string' },
+  SNAPSHOT_INTERVAL: { type: 'integer', min: 1000 },
+  SHUTDOWN_TIMEOUT: { type: 'integer', min: 0, reloadable: true },
+  API_KEYS: { type: 'string', secret: true },
+  API_KEYS_FILE: { type: 'string', nullable: true },
+  AUDIT_LOG_FILE: { type: 'string' },
+  AUDIT_LOG_SIZE: { type: 'integer', min: 1, reloadable: true },
+  RATE_LIMIT_ENABLED: { type: 'boolean', reloadable: true },
+  RATE_LIMITS: { type: 'object', validate: validateRateLimits, reloadable: true },
+  CORS_ORIGINS: { type: 'list', reloadable: true },
+  LOG_LEVEL: { type: 'string', values: [...LOG_LEVELS, 'silent'], reloadable: true },
+  LOG_REDACT: { type: 'list', reloadable: true }
+};
+
+// Older environment switches that still work, e.g. PERSISTENCE=off
+const CONFIG_ENV_ALIASES = {
+  PERSISTENCE: 'PERSISTENCE_ENABLED',
+  RATE_LIMIT: 'RATE_LIMIT_ENABLED'
+};
+
+// Merge rate limit overrides into the default buckets and check them.
+// Returns { value } or { error }
+function validateRateLimits(value) {
+  const merged = {};
+  
+  for (const [name, limit] of Object.entries(value)) {
+    if (!CONFIG_DEFAULTS.RATE_LIMITS[name]) {
+      return { error: `unknown bucket "${name}" (buckets: ${Object.keys(CONFIG_DEFAULTS.RATE_LIMITS).join(', ')})` };
+    }
+    merged[name] = { ...CONFIG_DEFAULTS.RATE_LIMITS[name], ...limit };
+    
+    const { capacity, refillPerSecond } = merged[name];
+    if (!Number.isInteger(capacity) || capacity < 1 || typeof refillPerSecond !== 'number' || !(refillPerSecond > 0)) {
+      return { error: `bucket "${name}" needs a whole-number capacity of at least 1 and a positive refillPerSecond` };
+    }
+  }
+  
+  return { value: { ...CONFIG_DEFAULTS.RATE_LIMITS, ...merged } };
+}
+
+// Convert an environment variable string to the type a key expects
+function parseEnvValue(rule, raw) {
+  if (rule.nullable && (raw === '' || raw === 'null')) return null;
+  
+  switch (rule.type) {
+    case 'integer':
+    case 'number':
+      return raw.trim() === '' ? raw : Number(raw);
+    case 'boolean':
+      if (['true', 'on', '1', 'yes'].includes(raw.toLowerCase())) return true;
+      if (['false', 'off', '0', 'no'].includes(raw.toLowerCase())) return false;
+      return raw;
+    case 'list':
+      return raw.split(',').map(item => item.trim()).filter(Boolean);
+    case 'object':
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        return raw;
+      }
+    default:
+      return raw;
+  }
+}
+
+// Check a value against its key's rule. Returns { value } or { error }
+function validateConfigValue(key, value) {
+  const rule = CONFIG_SCHEMA[key];
+  
+  if (value === null) {
+    return rule.nullable ? { value } : { error: 'must not be null' };
+  }
+  
+  switch (rule.type) {
+    case 'integer':
+      if (!Number.isInteger(value) || value < rule.min) {
+        return { error: `must be a whole number of at least ${rule.min}` };
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return { error: 'must be true or false' };
+      }
+      break;
+    case 'string':
+      if (typeof value !== 'string') {
+        return { error: 'must be a string' };
+      }
+      if (rule.values && !rule.values.includes(value)) {
+        return { error: `must be one of ${rule.values.join(', ')}` };
+      }
+      break;
+    case 'list':
+      if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+        return { error: 'must be a list of strings' };
+      }
+      if (rule.minItems && value.length < rule.minItems) {
+        return { error: `must have at least ${rule.minItems} item` };
+      }
+      if (rule.values && !value.every(item => rule.values.includes(item))) {
+        return { error: `items must be one of ${rule.values.join(', ')}` };
+      }
+      break;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return { error: 'must be an object' };
+      }
+      return rule.validate(value);
+  }
+  
+  return { value };
+}
+
+// Build the configuration from defaults, the config file (CONFIG_FILE, or
+// config.json next to this file if present), environment variables and the
+// config option of createAudioService. Returns { config, sources, file, errors }
+function loadConfig() {
+  const config = JSON.parse(JSON.stringify(CONFIG_DEFAULTS));
+  const sources = {};
+  const errors = [];
+  
+  Object.keys(CONFIG_SCHEMA).forEach(key => { sources[key] = 'default'; });
+  
+  const apply = (key, value, source, raw = value) => {
+    const result = validateConfigValue(key, value);
+    if (result.error) {
+      errors.push(`${key} ${result.error} (got ${JSON.stringify(raw)} from ${source})`);
+    } else {
+      config[key] = result.value;
+      sources[key] = source;
+    }
+  };
+  
+  const file = process.env.CONFIG_FILE || path.join(__dirname, 'config.json');
+  const hasFile = Boolean(process.env.CONFIG_FILE) || existsSync(file);
+  
+  if (hasFile) {
+    let values = null;
+    try {
+      values = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+      errors.push(`Cannot read config file ${file}: ${error.message}`);
+    }
+    
+    if (values !== null && (typeof values !== 'object' || Array.isArray(values))) {
+      errors.push(`Config file ${file} must contain a JSON object`);
+    } else if (values) {
+      for (const [key, value] of Object.entries(values)) {
+        if (!CONFIG_SCHEMA[key]) {
+          errors.push(`Unknown setting ${key} in ${file}`);
+        } else {
+          apply(key, value, 'file');
+        }
+      }
+    }
+  }
+  
+  const envNames = Object.keys(CONFIG_SCHEMA).map(key => [key, key])
+    .concat(Object.entries(CONFIG_ENV_ALIASES).map(([alias, key]) => [alias, key]));
+  
+  for (const [name, key] of envNames) {
+    if (process.env[name] !== undefined) {
+      apply(key, parseEnvValue(CONFIG_SCHEMA[key], process.env[name]), `env ${name}`, process.env[name]);
+    }
+  }
+  
+  for (const [key, value] of Object.entries(configOverrides)) {
+    if (!CONFIG_SCHEMA[key]) {
+      errors.push(`Unknown setting ${key} in options.config`);
+    } else {
+      apply(key, value, 'options');
+    }
+  }
+  
+  if (!config.SUPPORTED_LANGUAGES.includes(config.DEFAULT_LANGUAGE)) {
+    errors.push(`DEFAULT_LANGUAGE ${config.DEFAULT_LANGUAGE} is not in SUPPORTED_LANGUAGES`);
+  }
+  
+  return { config, sources, file: hasFile ? file : null, errors };
+}
+
+// Effective configuration. createAudioService fills it in and reloads update
+// it in place, so every reference sees the current values
+const AUDIO_CONFIG = JSON.parse(JSON.stringify(CONFIG_DEFAULTS));
+let configSources = {};
+let configFile = null;
+let configOverrides = {};
+
+// Persistence: periodic snapshot plus append-only journal of changes since it
+const SNAPSHOT_FILE = 'snapshot.json';
+const JOURNAL_FILE = 'journal.log';
+let stateWrites = Promise.resolve();
+
+// Bundled character-to-reading dictionary, in tone-number form
+const PINYIN_DICTIONARY = require('./data/pinyin.json');
+
+// Bundled Simplified/Traditional tables: per-character forms, extra Traditional
+// characters that merge into one Simplified form, and phrase-level exceptions
+const SCRIPT_VARIANTS = require('./data/script-variants.json');
+const TO_TRADITIONAL = SCRIPT_VARIANTS.toTraditional;
+const TO_SIMPLIFIED = {
+  ...Object.fromEntries(Object.entries(TO_TRADITIONAL).map(([simplified, traditional]) => [traditional, simplified])),
+  ...SCRIPT_VARIANTS.toSimplified
+};
+const TRADITIONAL_PHRASES = SCRIPT_VARIANTS.phrases;
+const PHRASE_MAX_LENGTH = Math.max(1, ...Object.keys(TRADITIONAL_PHRASES).map(phrase => phrase.length));
+
+// Bundled readings of words containing polyphonic characters (多音字), keyed by
+// the Simplified word, in tone-number form
+const POLYPHONE_WORDS = require('./data/polyphones.json');
+const POLYPHONE_MAX_LENGTH = Math.max(1, ...Object.keys(POLYPHONE_WORDS).map(word => word.length));
+
+// A character for each tone-number syllable in the dictionary, to synthesize
+// pinyin input with. Characters of polyphone words are only picked when no
+// other character has the reading, so a provider can't read them another way
+const POLYPHONE_CHARACTERS = new Set(Object.keys(POLYPHONE_WORDS).join(''));
+const SYLLABLE_CHARACTERS = {};
+for (const [character, reading] of Object.entries(PINYIN_DICTIONARY)) {
+  const current = SYLLABLE_CHARACTERS[reading];
+  if (!current || (POLYPHONE_CHARACTERS.has(current) && !POLYPHONE_CHARACTERS.has(character))) {
+    SYLLABLE_CHARACTERS[reading] = character;
+  }
+}
+
+// Locales that read Traditional characters; every other language uses Simplified
+const TRADITIONAL_LANGUAGES = ['zh-TW', 'zh-HK', 'zh-MO'];
+
+// Bundled HSK word lists, one file per level holding that level's new words.
+// A malformed list stops startup
+const HSK_LEVELS = [1, 2, 3, 4, 5, 6];
+const HSK_DECKS = new Map(HSK_LEVELS.map((level) => {
+  const words = require(`./data/hsk/hsk${level}.json`);
+  if (!Array.isArray(words) || words.length === 0 || !words.every(word => typeof word === 'string')) {
+    throw new Error(`data/hsk/hsk${level}.json must be a non-empty array of words`);
+  }
+  return [level, words];
+}));
+
+// API keys by SHA-256 of the key. Authentication is disabled while empty
+const apiKeys = new Map();
+const ROLES = ['client', 'admin'];
+
+// Most recent admin actions, newest last
+const auditLog = [];
+let auditWrites = Promise.resolve();
+
+// Token buckets keyed by "client|bucket", where client is an API key name or IP
+const rateBuckets = new Map();
+
+// Pause and cancel hooks for running deck jobs, keyed by job ID
+const deckRunners = new Map();
+
+// Preload requests and deck jobs running in the background. While draining
+// for shutdown they take no new items; what is left resumes on the next start
+const activeJobs = new Set();
+let draining = false;
+
+// Every valid Mandarin pinyin syllable, without tones
+const PINYIN_SYLLABLES = new Set((
+  'a ai an ang ao ba bai ban bang bao bei ben beng bi bian biao bie bin bing bo bu ' +
+  'ca cai can cang cao ce cen ceng cha chai chan chang chao che chen cheng chi chong chou ' +
+  'chu chua chuai chuan chuang chui chun chuo ci cong cou cu cuan cui cun cuo ' +
+  'da dai dan dang dao de dei den deng di dia dian diao die ding diu dong dou du duan dui dun duo ' +
+  'e ei en eng er fa fan fang fei fen feng fo fou fu ' +
+  'ga gai gan gang gao ge gei gen geng gong gou gu gua guai guan guang gui gun guo ' +
+  'ha hai han hang hao he hei hen heng hong hou hu hua huai huan huang hui hun huo ' +
+  'ji jia jian jiang jiao jie jin jing jiong jiu ju juan jue jun ' +
+  'ka kai kan kang kao ke kei ken keng kong kou ku kua kuai kuan kuang kui kun kuo ' +
+  'la lai lan lang lao le lei leng li lia lian liang liao lie lin ling liu lo long lou lu luan lun luo lü lüe lue ' +
+  'ma mai man mang mao me mei men meng mi mian miao mie min ming miu mo mou mu ' +
+  'na nai nan nang nao ne nei nen neng ni nian niang niao nie nin ning niu nong nou nu nuan nuo nü nüe nue ' +
+  'o ou pa pai pan pang pao pei pen peng pi pian piao pie pin ping po pou pu ' +
+  'qi qia qian qiang qiao qie qin qing qiong qiu qu quan que qun ' +
+  'ran rang rao re ren reng ri rong rou ru rua ruan rui run ruo ' +
+  'sa sai san sang sao se sen seng sha shai shan shang shao she shei shen sheng shi shou ' +
+  'shu shua shuai shuan shuang shui shun shuo si song sou su suan sui sun suo ' +
+  'ta tai tan tang tao te teng ti tian tiao tie ting tong tou tu tuan tui tun tuo ' +
+  'wa wai wan wang wei wen weng wo wu xi xia xian xiang xiao xie xin xing xiong xiu xu xuan xue xun ' +
+  'ya yan yang yao ye yi yin ying yo yong you yu yuan yue yun ' +
+  'za zai zan zang zao ze zei zen zeng zha zhai zhan zhang zhao zhe zhei zhen zheng zhi zhong zhou ' +
+  'zhu zhua zhuai zhuan zhuang zhui zhun zhuo zi zong zou zu zuan zui zun zuo'
+).split(' '));
+
+// Tone-marked vowels, tones 1-4
+const TONE_MARKS = {
+  a: 'āáǎà',
+  e: 'ēéěè',
+  i: 'īíǐì',
+  o: 'ōóǒò',
+  u: 'ūúǔù',
+  ü: 'ǖǘǚǜ'
 };
 
+const TONE_MARKED_VOWELS = {};
+for (const [vowel, marked] of Object.entries(TONE_MARKS)) {
+  Array.from(marked).forEach((char, index) => {
+    TONE_MARKED_VOWELS[char] = [vowel, index + 1];
+  });
+}
+
+// Cache hit/miss/eviction counters
+const cacheStats = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+
+// On-disk audio files keyed by the SHA-256 of their content
+const diskIndex = new Map();
+const diskStats = { totalBytes: 0, hits: 0, misses: 0, evictions: 0, integrityFailures: 0 };
+
+const AUDIO_EXTENSIONS = {
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/ogg': 'ogg'
+};
+
+// Recordings that replace synthesized audio for a text, keyed by the text's
+// default-variant cache key and listed in an index file in OVERRIDES_DIR
+const overrides = new Map();
+const OVERRIDE_INDEX_FILE = 'index.json';
+let overrideWrites = Promise.resolve();
+
+// Content types accepted for recordings, and the type each is stored as
+const OVERRIDE_CONTENT_TYPES = {
+  'audio/mpeg': 'audio/mpeg',
+  'audio/mp3': 'audio/mpeg',
+  'audio/ogg': 'audio/ogg',
+  'audio/wav': 'audio/wav',
+  'audio/wave': 'audio/wav',
+  'audio/x-wav': 'audio/wav'
+};
+
+// Playback speed and voice used when a request does not ask for a variant
+const DEFAULT_VARIANT = { speed: 'normal', voice: 'default', gender: null };
+
+// Relative speaking rate for named speeds
+const NAMED_SPEEDS = { slow: 0.6, normal: 1 };
+
+// Registered TTS providers and their success/failure counts
+const ttsProviders = new Map();
+const providerStats = new Map();
+
+// Circuit breaker per provider: closed, open (calls fail fast) or half-open
+// (one trial call decides whether it closes again)
+const circuitBreakers = new Map();
+
+// Audio fetches in flight by cache key, so concurrent loads of one clip share
+// a single upstream request
+const inflightFetches = new Map();
+
+// Audio of expired or evicted entries that is still on disk, by cache key.
+// Served when the upstream fails instead of returning an error
+const staleAudio = new Map();
+const upstreamStats = { coalesced: 0, staleServed: 0 };
+
 // Generate audio URL for Chinese text
-function generateAudioUrl(text, language = 'zh-CN') {
+function generateAudioUrl(text, language = 'zh-CN', variant = DEFAULT_VARIANT) {
   const params = new URLSearchParams({
     ie: 'UTF-8',
     q: text,
@@ -38,359 +558,3850 @@ function generateAudioUrl(text, language = 'zh-CN') {
     client: 'tw-ob'
   });
   
+  if (variant.speed === 'slow') {
+    params.set('ttsspeed', '0.24');
+  }
+  
   return `${AUDIO_CONFIG.TTS_BASE_URL}?${params.toString()}`;
 }
 
-// Generate cache key for audio requests
-function generateCacheKey(text, language) {
-  return crypto.createHash('md5').update(`${text}-${language}`).digest('hex');
+// Generate cache key for audio requests. The default variant keeps the
+// original text-language key so existing /play links stay valid. Hanzi are
+// keyed by their Simplified form so both scripts share one entry, and a chosen
+// reading (tone-number pinyin) gets its own entry
+function generateCacheKey(text, language, variant = DEFAULT_VARIANT, reading = null) {
+  text = toSimplified(text);
+  const isDefault = variant.speed === DEFAULT_VARIANT.speed &&
+    variant.voice === DEFAULT_VARIANT.voice &&
+    variant.gender === DEFAULT_VARIANT.gender;
+  const key = (isDefault
+    ? `${text}-${language}`
+    : `${text}-${language}-${variant.speed}-${variant.voice}-${variant.gender || ''}`) +
+    (reading ? `-${reading}` : '');
+  
+  return crypto.createHash('md5').update(key).digest('hex');
+}
+
+// Relative speaking rate of a variant
+function speedRate(variant) {
+  return typeof variant.speed === 'number' ? variant.speed : NAMED_SPEEDS[variant.speed];
+}
+
+// Fetch a URL and buffer the response body. Aborting signal cancels the request
+function fetchUrl(url, timeout = AUDIO_CONFIG.UPSTREAM_TIMEOUT, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+    const client = url.startsWith('https:') ? https : http;
+    
+    const request = client.get(url, (response) => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        return reject(new Error(`Upstream responded with status ${response.statusCode}`));
+      }
+      
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('error', reject);
+      response.on('end', () => {
+        const body = Buffer.concat(chunks);
+        if (body.length === 0) {
+          return reject(new Error('Upstream returned an empty body'));
+        }
+        resolve({
+          body,
+          contentType: response.headers['content-type'] || 'audio/mpeg'
+        });
+      });
+    });
+    
+    request.on('error', reject);
+    request.setTimeout(timeout, () => {
+      const error = new Error('Audio request timed out');
+      error.code = 'ETIMEDOUT';
+      request.destroy(error);
+    });
+    if (signal) {
+      signal.addEventListener('abort', () => request.destroy(signal.reason), { once: true });
+    }
+  });
 }
 
-// Clean old cache entries when cache is full
-function cleanCache() {
-  if (audioCache.size >= AUDIO_CONFIG.MAX_CACHE_SIZE) {
-    const entriesToRemove = Math.floor(AUDIO_CONFIG.MAX_CACHE_SIZE * 0.2);
-    const entries = Array.from(audioCache.entries());
+// Run a local synthesizer command, write input to its stdin and buffer its
+// stdout. The command is killed after timeout ms or when signal aborts
+function runCommand(command, args, { timeout = AUDIO_CONFIG.UPSTREAM_TIMEOUT, input = '', signal = null } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+    const child = spawn(command, args);
+    const chunks = [];
+    let stderr = '';
+    
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+    
+    const timer = setTimeout(() => {
+      const error = new Error(`${command} timed out`);
+      error.code = 'ETIMEDOUT';
+      child.kill();
+      reject(error);
+    }, timeout);
     
-    for (let i = 0; i < entriesToRemove; i++) {
-      audioCache.delete(entries[i][0]);
+    const onAbort = () => {
+      clearTimeout(timer);
+      child.kill();
+      reject(signal.reason);
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    
+    child.stdout.on('data', chunk => chunks.push(chunk));
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      reject(error);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (code !== 0) {
+        return reject(new Error(`${command} exited with code ${code}: ${stderr.trim()}`));
+      }
+      resolve(Buffer.concat(chunks));
+    });
+  });
+}
+
+// Register a TTS provider. A provider has a name, isAvailable(),
+// variants(language) -> { speeds, speedRange, voices, genders }, an optional
+// buildUrl(text, language, variant, reading) and
+// synthesize(text, language, { timeout, variant, reading, signal }) -> { body, contentType }.
+// Text is always as written; providers that set readings: true are also given
+// the tone-number reading to pronounce it with. signal aborts the call
+function registerProvider(provider) {
+  ttsProviders.set(provider.name, provider);
+  providerStats.set(provider.name, { success: 0, failure: 0, lastError: null });
+  circuitBreakers.set(provider.name, { state: 'closed', failures: 0, openedAt: null, trial: false, rejected: 0 });
+}
+
+// Google Translate TTS endpoint
+registerProvider({
+  name: 'google',
+  isAvailable: () => true,
+  variants: () => ({
+    speeds: ['slow', 'normal'],
+    speedRange: null,
+    voices: ['default'],
+    genders: []
+  }),
+  buildUrl: (text, language, variant) => generateAudioUrl(text, language, variant),
+  synthesize: (text, language, options) =>
+    upstreamFetch(generateAudioUrl(text, language, options.variant), options.timeout, options.signal)
+});
+
+// Local espeak-ng synthesizer, available when the command is installed. The
+// check runs once per configured command rather than on every request
+const espeakChecks = new Map();
+registerProvider({
+  name: 'espeak',
+  isAvailable: () => {
+    const command = AUDIO_CONFIG.ESPEAK_COMMAND;
+    if (!espeakChecks.has(command)) {
+      const check = spawnSync(command, ['--version'], { timeout: 5000 });
+      espeakChecks.set(command, !check.error && check.status === 0);
     }
+    return espeakChecks.get(command);
+  },
+  variants: () => ({
+    speeds: ['slow', 'normal'],
+    speedRange: [0.5, 2],
+    voices: ['default'],
+    genders: ['female', 'male']
+  }),
+  synthesize: async (text, language, options) => {
+    const { variant } = options;
+    const voice = variant.gender ? `cmn+${variant.gender === 'female' ? 'f3' : 'm3'}` : 'cmn';
+    const wordsPerMinute = String(Math.round(175 * speedRate(variant)));
     
-    console.log(`Cleaned ${entriesToRemove} old cache entries`);
+    // Text goes on stdin rather than argv, so input like "-w/tmp/x 你"
+    // can't be read as an option
+    const body = await runCommand(
+      AUDIO_CONFIG.ESPEAK_COMMAND,
+      ['-v', voice, '-s', wordsPerMinute, '--stdout', '--stdin'],
+      { timeout: options.timeout, input: text, signal: options.signal }
+    );
+    return { body, contentType: 'audio/wav' };
   }
+});
+
+// Generic HTTP TTS service, available when HTTP_TTS_BASE_URL is configured
+registerProvider({
+  name: 'http',
+  isAvailable: () => Boolean(AUDIO_CONFIG.HTTP_TTS_BASE_URL),
+  variants: () => ({
+    speeds: ['slow', 'normal'],
+    speedRange: [0.25, 4],
+    voices: AUDIO_CONFIG.HTTP_TTS_VOICES,
+    genders: AUDIO_CONFIG.HTTP_TTS_GENDERS
+  }),
+  readings: true,
+  buildUrl: (text, language, variant, reading) => buildHttpTtsUrl(text, language, variant, reading),
+  synthesize: (text, language, options) =>
+    upstreamFetch(buildHttpTtsUrl(text, language, options.variant, options.reading), options.timeout, options.signal)
+});
+
+// Build a request URL for the generic HTTP TTS service. Variant parameters
+// are only sent when they differ from the default, and reading only when set
+function buildHttpTtsUrl(text, language, variant = DEFAULT_VARIANT, reading = null) {
+  const params = new URLSearchParams({ text, language });
+  
+  if (variant.speed !== DEFAULT_VARIANT.speed) params.set('speed', String(speedRate(variant)));
+  if (variant.voice !== DEFAULT_VARIANT.voice) params.set('voice', variant.voice);
+  if (variant.gender) params.set('gender', variant.gender);
+  if (reading) params.set('reading', reading);
+  
+  return `${AUDIO_CONFIG.HTTP_TTS_BASE_URL}?${params.toString()}`;
 }
 
-// Validate Chinese text input
-function isValidChineseText(text) {
-  if (!text || typeof text !== 'string') return false;
+// Validate requested speed, voice and gender against the active provider.
+// Returns { variant } or { error, details }
+function parseVariant({ speed, voice, gender }, language) {
+  const [provider] = getProviderChain();
+  if (!provider) {
+    return { error: 'No TTS provider is available' };
+  }
   
-  const chineseRegex = /[\u4e00-\u9fff\u3400-\u4dbf]/;
-  return chineseRegex.test(text) && text.length <= 100;
+  const supported = provider.variants(language);
+  const variant = { ...DEFAULT_VARIANT };
+  
+  if (speed !== undefined) {
+    const range = supported.speedRange;
+    
+    if (typeof speed === 'number' && speed === 1) {
+      variant.speed = 'normal';
+    } else if (typeof speed === 'number' && range && speed >= range[0] && speed <= range[1]) {
+      variant.speed = speed;
+    } else if (supported.speeds.includes(speed)) {
+      variant.speed = speed;
+    } else {
+      return {
+        error: 'Unsupported speed',
+        details: `${provider.name} supports ${supported.speeds.join(', ')}` +
+          (range ? ` or a rate between ${range[0]} and ${range[1]}` : '')
+      };
+    }
+  }
+  
+  if (voice !== undefined) {
+    if (!supported.voices.includes(voice)) {
+      return { error: 'Unsupported voice', details: `${provider.name} supports ${supported.voices.join(', ')}` };
+    }
+    variant.voice = voice;
+  }
+  
+  if (gender !== undefined) {
+    if (!supported.genders.includes(gender)) {
+      return {
+        error: 'Unsupported gender',
+        details: supported.genders.length > 0
+          ? `${provider.name} supports ${supported.genders.join(', ')}`
+          : `${provider.name} does not support choosing a gender`
+      };
+    }
+    variant.gender = gender;
+  }
+  
+  return { variant };
 }
 
-// Record response time metrics
-function recordMetrics(endpoint, responseTime) {
-  if (!requestMetrics.has(endpoint)) {
-    requestMetrics.set(endpoint, []);
+// Whether a provider can speak a parsed variant
+function supportsVariant(provider, variant, language) {
+  const supported = provider.variants(language);
+  const { speed, voice, gender } = variant;
+  const range = supported.speedRange;
+  const speedSupported = typeof speed === 'number'
+    ? Boolean(range) && speed >= range[0] && speed <= range[1]
+    : speed === DEFAULT_VARIANT.speed || supported.speeds.includes(speed);
+  
+  return speedSupported &&
+    (voice === DEFAULT_VARIANT.voice || supported.voices.includes(voice)) &&
+    (gender === DEFAULT_VARIANT.gender || supported.genders.includes(gender));
+}
+
+// Get available providers in configured order, with the preferred one first
+function getProviderChain(preferred) {
+  const chain = AUDIO_CONFIG.TTS_PROVIDERS
+    .map(name => ttsProviders.get(name))
+    .filter(provider => provider && provider.isAvailable());
+  
+  const index = chain.findIndex(provider => provider.name === preferred);
+  if (index > 0) {
+    chain.unshift(chain.splice(index, 1)[0]);
   }
   
-  const metrics = requestMetrics.get(endpoint);
-  metrics.push(responseTime);
+  return chain;
+}
+
+// Record the outcome of a provider call
+function recordProviderResult(name, error) {
+  const stats = providerStats.get(name);
+  if (error) {
+    stats.failure++;
+    stats.lastError = error.message;
+  } else {
+    stats.success++;
+  }
+}
+
+// Current state of a circuit. An open circuit turns half-open once
+// BREAKER_RESET_TIMEOUT ms have passed since it opened
+function circuitState(breaker, now = clock.now()) {
+  return breaker.state === 'open' && now - breaker.openedAt >= AUDIO_CONFIG.BREAKER_RESET_TIMEOUT
+    ? 'half-open'
+    : breaker.state;
+}
+
+// Check whether a provider's circuit lets a call through. A half-open circuit
+// lets one trial call through at a time
+function allowProviderCall(name) {
+  const breaker = circuitBreakers.get(name);
+  breaker.state = circuitState(breaker);
   
-  if (metrics.length > 100) {
-    metrics.shift();
+  if (breaker.state === 'closed') return true;
+  if (breaker.state === 'half-open' && !breaker.trial) {
+    breaker.trial = true;
+    return true;
   }
+  
+  breaker.rejected++;
+  return false;
 }
 
-// Health check
-app.get('/health', (req, res) => {
-  const startTime = Date.now();
+// Update a provider's circuit after a call. A success closes it; a failed
+// trial, or BREAKER_FAILURE_THRESHOLD failures in a row, opens it
+function recordBreakerResult(name, error) {
+  const breaker = circuitBreakers.get(name);
+  breaker.trial = false;
   
-  const avgResponseTimes = {};
-  for (const [endpoint, times] of requestMetrics) {
-    if (times.length > 0) {
-      avgResponseTimes[endpoint] = Math.round(
-        times.reduce((a, b) => a + b, 0) / times.length
-      );
+  if (!error) {
+    if (breaker.state !== 'closed') {
+      logger.info('Circuit closed', { provider: name });
     }
+    Object.assign(breaker, { state: 'closed', failures: 0, openedAt: null });
+    return;
   }
   
-  const responseTime = Date.now() - startTime;
+  breaker.failures++;
+  if (breaker.state === 'open') return;
   
-  res.json({
-    status: 'healthy',
-    service: 'Pronunciation Audio Service',
-    uptime: Math.floor(process.uptime()),
-    timestamp: new Date().toISOString(),
-    cache: {
-      size: audioCache.size,
-      maxSize: AUDIO_CONFIG.MAX_CACHE_SIZE
-    },
-    averageResponseTimes: avgResponseTimes,
-    responseTime: `${responseTime}ms`
-  });
-});
+  if (breaker.state === 'half-open' || breaker.failures >= AUDIO_CONFIG.BREAKER_FAILURE_THRESHOLD) {
+    logger.warn('Circuit opened', { provider: name, failures: breaker.failures });
+    breaker.state = 'open';
+    breaker.openedAt = clock.now();
+  }
+}
 
-// Get pronunciation audio URL
-app.post('/audio', (req, res) => {
-  const startTime = Date.now();
+// Describe a provider's circuit for /health
+function describeCircuit(name) {
+  const breaker = circuitBreakers.get(name);
+  const state = circuitState(breaker);
   
-  try {
-    const { text, language = AUDIO_CONFIG.DEFAULT_LANGUAGE } = req.body;
-    
-    if (!isValidChineseText(text)) {
-      return res.status(400).json({
-        error: 'Invalid Chinese text provided',
-        details: 'Text must contain Chinese characters and be less than 100 characters'
-      });
+  return {
+    state,
+    failures: breaker.failures,
+    rejected: breaker.rejected,
+    openedAt: breaker.openedAt === null ? null : new Date(breaker.openedAt).toISOString(),
+    retryAt: state === 'open' ? new Date(breaker.openedAt + AUDIO_CONFIG.BREAKER_RESET_TIMEOUT).toISOString() : null
+  };
+}
+
+// Synthesize audio for a cache entry, falling back through the provider chain.
+// Providers whose circuit is open are skipped; if all are, the error has code
+// ECIRCUITOPEN and retryAfter in seconds. Aborting options.signal stops the
+// chain without counting against the provider
+async function synthesizeAudio(entry, options = {}) {
+  const { timeout = AUDIO_CONFIG.UPSTREAM_TIMEOUT, signal = null } = options;
+  const variant = entry.variant || DEFAULT_VARIANT;
+  // Only fall back to providers that can speak the variant, or its cache key
+  // would hold audio in some other speed or voice
+  const available = getProviderChain(entry.provider);
+  const chain = available.filter(provider => supportsVariant(provider, variant, entry.language));
+  const errors = [];
+  let allTimedOut = chain.length > 0;
+  let allOpen = chain.length > 0;
+  
+  for (const provider of chain) {
+    if (signal && signal.aborted) throw signal.reason;
+    if (!allowProviderCall(provider.name)) {
+      errors.push(`${provider.name}: circuit open`);
+      continue;
     }
+    allOpen = false;
     
-    if (!AUDIO_CONFIG.SUPPORTED_LANGUAGES.includes(language)) {
-      return res.status(400).json({
-        error: 'Unsupported language',
-        supportedLanguages: AUDIO_CONFIG.SUPPORTED_LANGUAGES
-      });
+    const attemptStart = clock.now();
+    try {
+      const reading = providerReading(provider, entry.text, entry.reading);
+      const audio = await provider.synthesize(entry.text, entry.language, { timeout, variant, reading, signal });
+      observeHistogram('tts_upstream_duration_seconds', { provider: provider.name, result: 'success' },
+        (clock.now() - attemptStart) / 1000);
+      recordProviderResult(provider.name, null);
+      recordBreakerResult(provider.name, null);
+      return {
+        ...audio,
+        provider: provider.name,
+        audioUrl: provider.buildUrl ? provider.buildUrl(entry.text, entry.language, variant, reading) : null
+      };
+    } catch (error) {
+      if (signal && signal.aborted) {
+        // An abandoned call neither passed nor failed, but it may have been
+        // the half-open trial; free it for the next caller
+        circuitBreakers.get(provider.name).trial = false;
+        throw signal.reason;
+      }
+      observeHistogram('tts_upstream_duration_seconds', { provider: provider.name, result: 'failure' },
+        (clock.now() - attemptStart) / 1000);
+      recordProviderResult(provider.name, error);
+      recordBreakerResult(provider.name, error);
+      errors.push(`${provider.name}: ${error.message}`);
+      if (error.code !== 'ETIMEDOUT') allTimedOut = false;
+    }
+  }
+  
+  const error = new Error(chain.length > 0
+    ? `All TTS providers failed (${errors.join('; ')})`
+    : available.length > 0 ? 'No available TTS provider supports this variant' : 'No TTS provider is available');
+  
+  if (allOpen) {
+    const now = clock.now();
+    const retryAt = Math.min(...chain.map(provider => circuitBreakers.get(provider.name).openedAt)) +
+      AUDIO_CONFIG.BREAKER_RESET_TIMEOUT;
+    error.code = 'ECIRCUITOPEN';
+    error.retryAfter = Math.max(1, Math.ceil((retryAt - now) / 1000));
+  } else {
+    error.code = allTimedOut ? 'ETIMEDOUT' : 'EUPSTREAM';
+  }
+  throw error;
+}
+
+// Create a cache entry using the first available provider. options.ttl is in
+// seconds, options.variant picks the speed and voice and options.reading is
+// an explicit tone-number reading to pronounce Hanzi with
+function createCacheEntry(text, language, options = {}) {
+  const { ttl, variant = DEFAULT_VARIANT, reading = null } = options;
+  const [provider] = getProviderChain();
+  if (!provider) {
+    throw new Error('No TTS provider is available');
+  }
+  
+  return {
+    audioUrl: provider.buildUrl
+      ? provider.buildUrl(text, language, variant, providerReading(provider, text, reading))
+      : null,
+    text,
+    language,
+    variant,
+    reading,
+    provider: provider.name,
+    pinned: false,
+    expiresAt: ttl
+      ? clock.now() + ttl * 1000
+      : (AUDIO_CONFIG.CACHE_TTL_MS ? clock.now() + AUDIO_CONFIG.CACHE_TTL_MS : null),
+    timestamp: new Date(clock.now()).toISOString()
+  };
+}
+
+// Find or create the cache entry for text, counting the lookup as a hit or miss
+function lookupOrCreateEntry(text, language, options = {}) {
+  const cacheKey = generateCacheKey(text, language, options.variant, options.reading);
+  
+  let entry = getCacheEntry(cacheKey);
+  const cached = Boolean(entry);
+  
+  if (!entry) {
+    entry = createEntryFor(text, language, options);
+    setCacheEntry(cacheKey, entry);
+  }
+  
+  return { cacheKey, entry, cached };
+}
+
+// Split long text into segments of at most SEGMENT_LENGTH characters, first at
+// sentence-ending punctuation, then at commas and semicolons, then by length
+function splitIntoSegments(text) {
+  const maxLength = AUDIO_CONFIG.SEGMENT_LENGTH;
+  if (text.length <= maxLength) return [text];
+  
+  const splitAfter = (value, marks) =>
+    value.match(new RegExp(`[^${marks}]*[${marks}]+|[^${marks}]+$`, 'g')) || [];
+  
+  const segments = [];
+  for (const sentence of splitAfter(text, '。！？!?')) {
+    if (sentence.length <= maxLength) {
+      segments.push(sentence);
+      continue;
     }
     
-    const cacheKey = generateCacheKey(text, language);
+    for (const clause of splitAfter(sentence, '，；,;')) {
+      for (let i = 0; i < clause.length; i += maxLength) {
+        segments.push(clause.slice(i, i + maxLength));
+      }
+    }
+  }
+  
+  return segments.map(segment => segment.trim()).filter(Boolean);
+}
+
+// Create a cache entry for text of any length. Long text gets one entry per
+// segment, and the combined entry lists their cache keys in order
+function createEntryFor(text, language, options = {}) {
+  const segments = splitIntoSegments(text);
+  if (segments.length === 1) {
+    return createCacheEntry(text, language, options);
+  }
+  
+  return {
+    ...createCacheEntry(text, language, options),
+    audioUrl: null,
+    provider: null,
+    segments: segments.map(segmentText => {
+      const cacheKey = generateCacheKey(segmentText, language, options.variant);
+      if (!audioCache.has(cacheKey)) {
+        setCacheEntry(cacheKey, createCacheEntry(segmentText, language, options));
+      }
+      return { text: segmentText, cacheKey };
+    })
+  };
+}
+
+// Concatenate MP3 clips. MPEG frames are self-contained, so the bytes can be joined as-is
+function concatMpeg(bodies) {
+  let offset = 0;
+  const offsets = bodies.map(body => {
+    const range = { start: offset, end: offset + body.length };
+    offset += body.length;
+    return range;
+  });
+  
+  return { body: Buffer.concat(bodies), offsets };
+}
+
+// Concatenate WAV clips by joining their data chunks under the first clip's format
+function concatWav(bodies) {
+  let format = null;
+  const samples = bodies.map(body => {
+    let position = 12;
+    let data = null;
     
-    if (audioCache.has(cacheKey)) {
-      const cachedData = audioCache.get(cacheKey);
-      const responseTime = Date.now() - startTime;
+    while (position + 8 <= body.length) {
+      const id = body.toString('ascii', position, position + 4);
+      const size = body.readUInt32LE(position + 4);
+      const start = position + 8;
+      const end = Math.min(start + size, body.length);
       
-      recordMetrics('/audio', responseTime);
+      if (id === 'fmt ' && !format) format = body.slice(start, end);
+      if (id === 'data') {
+        data = body.slice(start, end);
+        break;
+      }
+      position = end + (size % 2);
+    }
+    
+    if (!data || !format) {
+      throw new Error('Segment audio is not a valid WAV file');
+    }
+    return data;
+  });
+  
+  const header = Buffer.alloc(20);
+  header.write('RIFF', 0, 'ascii');
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(format.length, 16);
+  
+  const dataHeader = Buffer.alloc(8);
+  const dataLength = samples.reduce((total, data) => total + data.length, 0);
+  dataHeader.write('data', 0, 'ascii');
+  dataHeader.writeUInt32LE(dataLength, 4);
+  
+  const headerLength = header.length + format.length + dataHeader.length;
+  header.writeUInt32LE(headerLength - 8 + dataLength, 4);
+  
+  let offset = headerLength;
+  const offsets = samples.map(data => {
+    const range = { start: offset, end: offset + data.length };
+    offset += data.length;
+    return range;
+  });
+  
+  return { body: Buffer.concat([header, format, dataHeader, ...samples]), offsets };
+}
+
+// Load every segment of a long-text entry and stitch them into one clip,
+// recording each segment's byte range on the entry
+async function stitchSegments(entry, options) {
+  const parts = [];
+  
+  for (const segment of entry.segments) {
+    if (!audioCache.has(segment.cacheKey)) {
+      setCacheEntry(segment.cacheKey, createCacheEntry(segment.text, entry.language, { variant: entry.variant }));
+    }
+    parts.push(await loadAudio(segment.cacheKey, options));
+  }
+  
+  const contentTypes = new Set(parts.map(part => part.contentType));
+  if (contentTypes.size > 1) {
+    throw new Error('Segments were synthesized in different audio formats');
+  }
+  
+  const [contentType] = contentTypes;
+  const bodies = parts.map(part => part.body);
+  const { body, offsets } = contentType === 'audio/wav' ? concatWav(bodies) : concatMpeg(bodies);
+  
+  entry.segments = entry.segments.map((segment, index) => ({ ...segment, ...offsets[index] }));
+  
+  return { body, contentType, provider: parts[0].provider, audioUrl: null };
+}
+
+// Describe the segments of a long-text entry for API responses. Byte ranges
+// are null until the stitched audio has been produced
+function describeSegments(entry) {
+  return entry.segments.map(segment => ({
+    text: segment.text,
+    audioUrl: `/play/${segment.cacheKey}`,
+    start: segment.start !== undefined ? segment.start : null,
+    end: segment.end !== undefined ? segment.end : null
+  }));
+}
+
+// Map a content type to a file extension and back
+function extensionFor(contentType) {
+  return AUDIO_EXTENSIONS[contentType.split(';')[0].trim()] || 'bin';
+}
+
+function contentTypeFor(extension) {
+  const match = Object.entries(AUDIO_EXTENSIONS).find(([, ext]) => ext === extension);
+  return match ? match[0] : 'application/octet-stream';
+}
+
+// Hash audio content for content-addressed storage
+function hashContent(body) {
+  return crypto.createHash('sha256').update(body).digest('hex');
+}
+
+// Rebuild the disk index from files already in AUDIO_DIR
+async function initDiskCache() {
+  await fs.mkdir(AUDIO_CONFIG.AUDIO_DIR, { recursive: true });
+  const files = await fs.readdir(AUDIO_CONFIG.AUDIO_DIR);
+  
+  for (const file of files) {
+    const match = file.match(/^([0-9a-f]{64})\.(\w+)$/);
+    if (!match) continue;
+    
+    const stats = await fs.stat(path.join(AUDIO_CONFIG.AUDIO_DIR, file));
+    diskIndex.set(match[1], {
+      file,
+      size: stats.size,
+      contentType: contentTypeFor(match[2]),
+      lastPlayed: stats.mtimeMs
+    });
+    diskStats.totalBytes += stats.size;
+  }
+  
+  await evictDiskCache();
+  logger.info('Disk cache loaded', { files: diskIndex.size, bytes: diskStats.totalBytes });
+}
+
+// Remove a file from the disk cache
+async function removeFromDisk(hash) {
+  const record = diskIndex.get(hash);
+  if (!record) return;
+  
+  diskIndex.delete(hash);
+  diskStats.totalBytes -= record.size;
+  await fs.unlink(path.join(AUDIO_CONFIG.AUDIO_DIR, record.file)).catch(() => {});
+}
+
+// Evict least recently played files until the cache fits its byte budget
+async function evictDiskCache(keepHash = null) {
+  if (diskStats.totalBytes <= AUDIO_CONFIG.DISK_CACHE_MAX_BYTES) return;
+  
+  const candidates = Array.from(diskIndex.entries())
+    .filter(([hash]) => hash !== keepHash)
+    .sort((a, b) => a[1].lastPlayed - b[1].lastPlayed);
+  
+  for (const [hash] of candidates) {
+    if (diskStats.totalBytes <= AUDIO_CONFIG.DISK_CACHE_MAX_BYTES) break;
+    await removeFromDisk(hash);
+    diskStats.evictions++;
+  }
+}
+
+// Read audio from disk, verifying it still matches its content hash
+async function readAudioFromDisk(hash) {
+  const record = diskIndex.get(hash);
+  if (!record) return null;
+  
+  const filePath = path.join(AUDIO_CONFIG.AUDIO_DIR, record.file);
+  let body;
+  try {
+    body = await fs.readFile(filePath);
+  } catch (error) {
+    await removeFromDisk(hash);
+    return null;
+  }
+  
+  if (hashContent(body) !== hash) {
+    logger.error('Integrity check failed, removing file', { file: record.file });
+    diskStats.integrityFailures++;
+    await removeFromDisk(hash);
+    return null;
+  }
+  
+  const now = clock.now();
+  record.lastPlayed = now;
+  fs.utimes(filePath, now / 1000, now / 1000).catch(() => {});
+  
+  return { body, contentType: record.contentType };
+}
+
+// Write audio to disk and return its content hash
+async function writeAudioToDisk(body, contentType) {
+  const hash = hashContent(body);
+  
+  if (diskIndex.has(hash)) {
+    diskIndex.get(hash).lastPlayed = clock.now();
+    return hash;
+  }
+  
+  // Concurrent writes of the same audio each get their own temp file; the
+  // first to finish indexes it and the others only replace identical bytes
+  const file = `${hash}.${extensionFor(contentType)}`;
+  const filePath = path.join(AUDIO_CONFIG.AUDIO_DIR, file);
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+  
+  await fs.mkdir(AUDIO_CONFIG.AUDIO_DIR, { recursive: true });
+  await fs.writeFile(tempPath, body);
+  await fs.rename(tempPath, filePath);
+  
+  if (diskIndex.has(hash)) {
+    diskIndex.get(hash).lastPlayed = clock.now();
+    return hash;
+  }
+  
+  diskIndex.set(hash, {
+    file,
+    size: body.length,
+    contentType: contentTypeFor(extensionFor(contentType)),
+    lastPlayed: clock.now()
+  });
+  diskStats.totalBytes += body.length;
+  
+  await evictDiskCache(hash);
+  return hash;
+}
+
+// Overrides cover both scripts and every speed and voice of a text, so they
+// are keyed like the default variant
+function overrideKey(text, language) {
+  return generateCacheKey(text, language);
+}
+
+// Where the audio for a text comes from: a recording or the TTS providers
+function audioSource(text, language) {
+  return overrides.has(overrideKey(text, language)) ? 'override' : 'tts';
+}
+
+// Describe an override for API responses
+function describeOverride(override) {
+  return {
+    text: override.text,
+    language: override.language,
+    contentType: override.contentType,
+    bytes: override.bytes,
+    sha256: override.sha256,
+    uploadedBy: override.uploadedBy,
+    uploadedAt: override.uploadedAt,
+    audioUrl: `/overrides/${encodeURIComponent(override.language)}/${encodeURIComponent(override.text)}`,
+    source: 'override'
+  };
+}
+
+// Check that a recording starts the way its content type says it should
+function matchesAudioFormat(body, contentType) {
+  const magic = (start, end) => body.subarray(start, end).toString('latin1');
+  
+  if (contentType === 'audio/ogg') return magic(0, 4) === 'OggS';
+  if (contentType === 'audio/wav') return magic(0, 4) === 'RIFF' && magic(8, 12) === 'WAVE';
+  
+  // MP3: an ID3 tag or an MPEG frame sync
+  return magic(0, 3) === 'ID3' || (body[0] === 0xff && (body[1] & 0xe0) === 0xe0);
+}
+
+// Load the override index from OVERRIDES_DIR
+async function loadOverrides() {
+  await fs.mkdir(AUDIO_CONFIG.OVERRIDES_DIR, { recursive: true });
+  
+  try {
+    const index = JSON.parse(await fs.readFile(path.join(AUDIO_CONFIG.OVERRIDES_DIR, OVERRIDE_INDEX_FILE), 'utf8'));
+    index.forEach(([key, override]) => overrides.set(key, override));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  
+  logger.info('Overrides loaded', { recordings: overrides.size });
+}
+
+// Write the override index, replacing the previous one atomically
+function writeOverrideIndex() {
+  overrideWrites = overrideWrites
+    .then(async () => {
+      const indexPath = path.join(AUDIO_CONFIG.OVERRIDES_DIR, OVERRIDE_INDEX_FILE);
+      await fs.writeFile(`${indexPath}.tmp`, JSON.stringify(Array.from(overrides.entries()), null, 2));
+      await fs.rename(`${indexPath}.tmp`, indexPath);
+    })
+    .catch(error => logger.error('Error writing override index', { error: error.message }));
+  return overrideWrites;
+}
+
+// Remove a recording file once no override refers to it
+async function removeOverrideFile(file) {
+  for (const override of overrides.values()) {
+    if (override.file === file) return;
+  }
+  await fs.unlink(path.join(AUDIO_CONFIG.OVERRIDES_DIR, file)).catch(() => {});
+}
+
+// Remember the audio of an entry that is leaving the cache, so it can still be
+// served while the upstream is failing. Keeps at most MAX_CACHE_SIZE of them
+function rememberStaleAudio(cacheKey, entry) {
+  if (!entry || !entry.contentHash) return;
+  
+  staleAudio.delete(cacheKey);
+  staleAudio.set(cacheKey, { contentHash: entry.contentHash, provider: entry.provider });
+  
+  while (staleAudio.size > AUDIO_CONFIG.MAX_CACHE_SIZE) {
+    staleAudio.delete(staleAudio.keys().next().value);
+  }
+}
+
+// Read the stale audio remembered for a cache key, if it is still on disk
+async function readStaleAudio(cacheKey) {
+  const stale = staleAudio.get(cacheKey);
+  if (!stale) return null;
+  
+  const stored = await readAudioFromDisk(stale.contentHash);
+  if (!stored) {
+    staleAudio.delete(cacheKey);
+    return null;
+  }
+  
+  upstreamStats.staleServed++;
+  return { ...stored, contentHash: stale.contentHash, provider: stale.provider, source: 'tts', fromDisk: true, stale: true };
+}
+
+// Synthesize audio for a cache entry and store it on disk. Concurrent calls
+// for one key share the fetch that is already in flight, which runs on its
+// own UPSTREAM_TIMEOUT. Each caller can give up through options.signal; the
+// fetch is only aborted once every caller waiting on it has
+function fetchAudio(cacheKey, entry, options = {}) {
+  const inflight = inflightFetches.get(cacheKey);
+  if (inflight) {
+    upstreamStats.coalesced++;
+    return joinFetch(inflight, options.signal);
+  }
+  
+  const controller = new AbortController();
+  const { signal } = controller;
+  const fetching = (async () => {
+    const audio = entry.segments
+      ? await stitchSegments(entry, { signal })
+      : await synthesizeAudio(entry, { signal });
+    
+    // Every caller gave up and has been told the load failed; keep it that way
+    if (signal.aborted) throw signal.reason;
+    
+    entry.provider = audio.provider;
+    entry.audioUrl = audio.audioUrl;
+    
+    try {
+      entry.contentHash = await writeAudioToDisk(audio.body, audio.contentType);
+    } catch (error) {
+      logger.error('Error writing audio to disk', { error: error.message });
+    }
+    
+    if (audioCache.get(cacheKey) === entry) {
+      setCacheEntry(cacheKey, entry);
+    }
+    staleAudio.delete(cacheKey);
+    
+    return {
+      body: audio.body,
+      contentType: audio.contentType,
+      contentHash: entry.contentHash || hashContent(audio.body),
+      provider: audio.provider
+    };
+  })().finally(() => inflightFetches.delete(cacheKey));
+  
+  const started = { promise: fetching, controller, waiters: 0 };
+  inflightFetches.set(cacheKey, started);
+  return joinFetch(started, options.signal);
+}
+
+// Wait for a shared fetch until it settles or signal aborts. Callers without
+// a signal never give up, so the fetch is only aborted when the last caller
+// still waiting aborts
+function joinFetch(inflight, signal) {
+  inflight.waiters++;
+  if (!signal) return inflight.promise;
+  
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      if (--inflight.waiters === 0) inflight.controller.abort(signal.reason);
+      reject(signal.reason);
+    };
+    
+    if (signal.aborted) return onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    inflight.promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+// Load audio bytes for a cache entry: a recording override if there is one,
+// otherwise from disk when possible. If the upstream fails, stale audio of an
+// earlier entry for the key is served with stale: true. With options.cachedOnly
+// nothing is fetched; audio that isn't stored fails with code ENOTCACHED
+async function loadAudio(cacheKey, options = {}) {
+  const entry = audioCache.get(cacheKey);
+  if (!entry) {
+    const error = new Error('Cache entry was evicted before its audio was loaded');
+    error.code = 'EEVICTED';
+    throw error;
+  }
+  
+  const override = overrides.get(overrideKey(entry.text, entry.language));
+  
+  if (override) {
+    try {
+      const body = await fs.readFile(path.join(AUDIO_CONFIG.OVERRIDES_DIR, override.file));
+      return {
+        body,
+        contentType: override.contentType,
+        contentHash: override.sha256,
+        provider: entry.provider,
+        source: 'override',
+        fromDisk: true
+      };
+    } catch (error) {
+      logger.error('Error reading override, falling back to TTS', { file: override.file, error: error.message });
+    }
+  }
+  
+  if (entry.contentHash) {
+    const stored = await readAudioFromDisk(entry.contentHash);
+    if (stored) {
+      diskStats.hits++;
+      return { ...stored, contentHash: entry.contentHash, provider: entry.provider, source: 'tts', fromDisk: true };
+    }
+  }
+  
+  diskStats.misses++;
+  if (options.cachedOnly) {
+    const error = new Error('Audio is not cached');
+    error.code = 'ENOTCACHED';
+    throw error;
+  }
+  
+  let audio;
+  try {
+    audio = await fetchAudio(cacheKey, entry, options);
+  } catch (error) {
+    const stale = await readStaleAudio(cacheKey);
+    if (!stale) throw error;
+    
+    logger.warn('Serving stale audio', { cacheKey, error: error.message });
+    return stale;
+  }
+  
+  return { ...audio, source: 'tts', fromDisk: false };
+}
+
+// Queue a write to the state directory so writes stay in order
+function queueStateWrite(write) {
+  stateWrites = stateWrites
+    .then(write)
+    .catch(error => logger.error('Error writing state', { error: error.message }));
+  return stateWrites;
+}
+
+// Append a change to the journal
+function journal(map, op, key, value) {
+  if (!AUDIO_CONFIG.PERSISTENCE_ENABLED) return;
+  
+  const line = JSON.stringify({ map, op, key, value }) + '\n';
+  queueStateWrite(() => fs.appendFile(path.join(AUDIO_CONFIG.STATE_DIR, JOURNAL_FILE), line));
+}
+
+// Persisted mutations of audioCache and preloadQueue. Setting an entry makes it
+// the most recently used, which journal replay reproduces
+function setCacheEntry(cacheKey, entry) {
+  if (!audioCache.has(cacheKey)) {
+    evictCacheEntries();
+  }
+  audioCache.delete(cacheKey);
+  audioCache.set(cacheKey, entry);
+  journal('audio', 'set', cacheKey, entry);
+}
+
+// Record a use of an entry. Only the access time is journaled, so replay
+// restores the LRU order without rewriting the entry
+function touchCacheEntry(cacheKey, entry) {
+  applyTouch(cacheKey, entry, clock.now());
+  journal('audio', 'touch', cacheKey, { lastAccessed: entry.lastAccessed });
+}
+
+// Make an entry the most recently used
+function applyTouch(cacheKey, entry, lastAccessed) {
+  audioCache.delete(cacheKey);
+  audioCache.set(cacheKey, entry);
+  entry.lastAccessed = lastAccessed;
+}
+
+function deleteCacheEntry(cacheKey) {
+  rememberStaleAudio(cacheKey, audioCache.get(cacheKey));
+  audioCache.delete(cacheKey);
+  journal('audio', 'delete', cacheKey);
+}
+
+function savePreload(preloadData) {
+  preloadQueue.set(preloadData.id, preloadData);
+  journal('preload', 'set', preloadData.id, preloadData);
+}
+
+function deletePreload(preloadId) {
+  preloadQueue.delete(preloadId);
+  journal('preload', 'delete', preloadId);
+}
+
+// Record a finished item of a preload request or deck job. Only the item is
+// journaled, so a restart resumes the job with the items still pending
+function completeJobItem(job, index, result) {
+  applyJobItem(job, index, result);
+  journal('preload', 'item', job.id, { index, result });
+}
+
+// Apply a finished item to a job. job.completed lists finished item indexes
+// in the order their results were added
+function applyJobItem(job, index, result) {
+  job.completed.push(index);
+  
+  if (job.type === 'deck') {
+    job.progress.done++;
+    if (!result.ok) {
+      job.progress.failed++;
+      job.failures.push({ text: result.text, timeout: result.timeout, upstream_error: result.upstream_error });
+    }
+  } else {
+    job.results.push(result);
+  }
+}
+
+// Indexes of a job's items that have not finished yet
+function pendingItems(job) {
+  const completed = new Set(job.completed);
+  return job.texts.map((text, index) => index).filter(index => !completed.has(index));
+}
+
+// Start a preload request or deck job in the background, under the ID of the
+// request that created it
+function startJob(job) {
+  const running = new Promise(resolve => setImmediate(resolve))
+    .then(() => runForRequest(job.requestId, () => (job.type === 'deck' ? runDeckJob(job) : runPreloadJob(job))));
+  
+  activeJobs.add(running);
+  running.finally(() => activeJobs.delete(running));
+}
+
+// Resume the jobs that were processing when the service last stopped
+function resumeJobs() {
+  const interrupted = Array.from(preloadQueue.values()).filter(job => job.status === 'processing');
+  
+  for (const job of interrupted) {
+    // Saved before items were tracked, so start again from the first item
+    if (!job.completed) {
+      Object.assign(job, job.type === 'deck'
+        ? { completed: [], progress: { done: 0, total: job.texts.length, failed: 0 }, failures: [] }
+        : { completed: [], results: [] });
+    }
+    
+    logger.info('Resuming job', { jobId: job.id, type: job.type || 'preload', pending: pendingItems(job).length });
+    startJob(job);
+  }
+}
+
+// Write both maps to the snapshot file and truncate the journal
+function writeSnapshot() {
+  if (!AUDIO_CONFIG.PERSISTENCE_ENABLED) return Promise.resolve();
+  
+  return queueStateWrite(async () => {
+    const snapshot = JSON.stringify({
+      version: 1,
+      savedAt: new Date(clock.now()).toISOString(),
+      audioCache: Array.from(audioCache.entries()),
+      preloadQueue: Array.from(preloadQueue.entries())
+    });
+    
+    const snapshotPath = path.join(AUDIO_CONFIG.STATE_DIR, SNAPSHOT_FILE);
+    await fs.writeFile(`${snapshotPath}.tmp`, snapshot);
+    await fs.rename(`${snapshotPath}.tmp`, snapshotPath);
+    await fs.writeFile(path.join(AUDIO_CONFIG.STATE_DIR, JOURNAL_FILE), '');
+  });
+}
+
+// Restore both maps from the snapshot and replay the journal
+async function restoreState() {
+  if (!AUDIO_CONFIG.PERSISTENCE_ENABLED) return;
+  
+  await fs.mkdir(AUDIO_CONFIG.STATE_DIR, { recursive: true });
+  const snapshotPath = path.join(AUDIO_CONFIG.STATE_DIR, SNAPSHOT_FILE);
+  const maps = { audio: audioCache, preload: preloadQueue };
+  
+  try {
+    const snapshot = JSON.parse(await fs.readFile(snapshotPath, 'utf8'));
+    if (!Array.isArray(snapshot.audioCache) || !Array.isArray(snapshot.preloadQueue)) {
+      throw new Error('Snapshot is missing audioCache or preloadQueue');
+    }
+    snapshot.audioCache.forEach(([key, value]) => audioCache.set(key, value));
+    snapshot.preloadQueue.forEach(([key, value]) => preloadQueue.set(key, value));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      const corruptPath = `${snapshotPath}.corrupt-${clock.now()}`;
+      logger.error('Snapshot is unreadable, moving it aside', { error: error.message, movedTo: corruptPath });
+      audioCache.clear();
+      preloadQueue.clear();
+      await fs.rename(snapshotPath, corruptPath).catch(() => {});
+    }
+  }
+  
+  let journalText = '';
+  try {
+    journalText = await fs.readFile(path.join(AUDIO_CONFIG.STATE_DIR, JOURNAL_FILE), 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  
+  let skipped = 0;
+  for (const line of journalText.split('\n')) {
+    if (!line.trim()) continue;
+    
+    let change;
+    try {
+      change = JSON.parse(line);
+    } catch (error) {
+      skipped++;
+      continue;
+    }
+    
+    const map = maps[change.map];
+    if (!map) {
+      skipped++;
+    } else if (change.op === 'set') {
+      // Deleting first moves the key to the end, keeping the cache's LRU order
+      map.delete(change.key);
+      map.set(change.key, change.value);
+    } else if (change.op === 'delete') {
+      map.delete(change.key);
+    } else if (change.op === 'clear') {
+      map.clear();
+    } else if (change.op === 'touch' && map === audioCache && map.has(change.key)) {
+      applyTouch(change.key, map.get(change.key), change.value.lastAccessed);
+    } else if (change.op === 'item' && map.has(change.key)) {
+      applyJobItem(map.get(change.key), change.value.index, change.value.result);
+    }
+  }
+  
+  if (skipped > 0) {
+    logger.error('Skipped unreadable journal entries', { skipped });
+  }
+  logger.info('State restored', { cacheEntries: audioCache.size, preloadRequests: preloadQueue.size });
+  
+  await writeSnapshot();
+}
+
+// Run work(signal), rejecting with an ETIMEDOUT error if it takes longer than
+// timeout ms. The signal is aborted with that error, so the work stops
+// instead of finishing in the background
+function withTimeout(work, timeout, message = 'Operation timed out') {
+  const controller = new AbortController();
+  let timer;
+  const timeoutPromise = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(message);
+      error.code = 'ETIMEDOUT';
+      controller.abort(error);
+      reject(error);
+    }, timeout);
+  });
+  
+  return Promise.race([work(controller.signal), timeoutPromise]).finally(() => clearTimeout(timer));
+}
+
+// Run worker(item, index) over items with at most limit running at once
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  async function runNext() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+  
+  const runners = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    runners.push(runNext());
+  }
+  await Promise.all(runners);
+  
+  return results;
+}
+
+// Check whether a cache entry has outlived its TTL. Pinned entries never expire
+function isExpired(entry, now = clock.now()) {
+  return !entry.pinned && entry.expiresAt != null && entry.expiresAt <= now;
+}
+
+// Look up a cache entry, counting the hit or miss and marking it most recently used.
+// audioCache keeps least recently used entries first
+function getCacheEntry(cacheKey) {
+  const entry = audioCache.get(cacheKey);
+  
+  if (!entry) {
+    cacheStats.misses++;
+    return null;
+  }
+  
+  if (isExpired(entry)) {
+    deleteCacheEntry(cacheKey);
+    cacheStats.expirations++;
+    cacheStats.misses++;
+    return null;
+  }
+  
+  touchCacheEntry(cacheKey, entry);
+  cacheStats.hits++;
+  
+  return entry;
+}
+
+// Remove every expired entry
+function purgeExpiredEntries() {
+  const now = clock.now();
+  
+  for (const [cacheKey, entry] of audioCache) {
+    if (isExpired(entry, now)) {
+      deleteCacheEntry(cacheKey);
+      cacheStats.expirations++;
+    }
+  }
+}
+
+// Make room for a new entry by evicting the least recently used unpinned ones
+function evictCacheEntries() {
+  if (audioCache.size < AUDIO_CONFIG.MAX_CACHE_SIZE) return;
+  
+  purgeExpiredEntries();
+  
+  for (const [cacheKey, entry] of audioCache) {
+    if (audioCache.size < AUDIO_CONFIG.MAX_CACHE_SIZE) break;
+    if (entry.pinned) continue;
+    
+    deleteCacheEntry(cacheKey);
+    cacheStats.evictions++;
+  }
+}
+
+// Validate an optional per-entry TTL in seconds. Returns null, or
+// { error, details } for a 400 response
+function validateTtl(ttl) {
+  if (ttl === undefined || (Number.isInteger(ttl) && ttl > 0 && ttl <= AUDIO_CONFIG.MAX_ENTRY_TTL)) {
+    return null;
+  }
+  
+  return {
+    error: 'Invalid ttl',
+    details: `ttl must be a whole number of seconds between 1 and ${AUDIO_CONFIG.MAX_ENTRY_TTL}`
+  };
+}
+
+// Validate Chinese text input
+function isValidChineseText(text) {
+  if (!text || typeof text !== 'string') return false;
+  
+  const chineseRegex = /[\u4e00-\u9fff\u3400-\u4dbf]/;
+  return chineseRegex.test(text) && text.length <= AUDIO_CONFIG.MAX_TEXT_LENGTH;
+}
+
+// Split a pinyin token into known syllables, preferring the longest match first
+function segmentSyllables(letters) {
+  if (letters.length === 0) return [];
+  
+  for (let length = Math.min(6, letters.length); length > 0; length--) {
+    const syllable = letters.slice(0, length);
+    if (!PINYIN_SYLLABLES.has(syllable)) continue;
+    
+    const rest = segmentSyllables(letters.slice(length));
+    if (rest) return [syllable, ...rest];
+  }
+  
+  return null;
+}
+
+// Parse tone-number ("ni3 hao3") or tone-mark ("nǐ hǎo") pinyin into
+// [{ syllable, tone }], or null if the text is not valid pinyin
+function parsePinyin(text) {
+  const normalized = text.normalize('NFC').toLowerCase()
+    .replace(/u:/g, '\u00fc')
+    .replace(/v/g, '\u00fc')
+    .trim();
+  
+  if (!normalized) return null;
+  
+  const syllables = [];
+  
+  for (const token of normalized.split(/[\s'\u2019-]+/).filter(Boolean)) {
+    let plain = '';
+    const marks = [];
+    
+    for (const char of token) {
+      if (TONE_MARKED_VOWELS[char]) {
+        const [vowel, tone] = TONE_MARKED_VOWELS[char];
+        marks[plain.length] = tone;
+        plain += vowel;
+      } else {
+        plain += char;
+      }
+    }
+    
+    if (!/^([a-z\u00fc]+[1-5]?)+$/.test(plain)) return null;
+    
+    const pattern = /([a-z\u00fc]+)([1-5]?)/g;
+    let match;
+    while ((match = pattern.exec(plain))) {
+      const pieces = segmentSyllables(match[1]);
+      if (!pieces) return null;
+      
+      let offset = match.index;
+      const parsed = pieces.map(syllable => {
+        let tone = 5;
+        for (let i = offset; i < offset + syllable.length; i++) {
+          if (marks[i]) tone = marks[i];
+        }
+        offset += syllable.length;
+        return { syllable: syllable.replace(/^([ln])ue$/, '$1\u00fce'), tone };
+      });
+      
+      if (match[2]) {
+        parsed[parsed.length - 1].tone = Number(match[2]);
+      }
+      syllables.push(...parsed);
+    }
+  }
+  
+  return syllables.length > 0 ? syllables : null;
+}
+
+// Write one syllable with its tone mark. The mark goes on a or e, on the o of
+// ou, and otherwise on the last vowel
+function toToneMark({ syllable, tone }) {
+  if (tone === 5) return syllable;
+  
+  let index = syllable.search(/[ae]/);
+  if (index === -1) index = syllable.indexOf('ou');
+  if (index === -1) {
+    for (let i = syllable.length - 1; i >= 0; i--) {
+      if ('iou\u00fc'.includes(syllable[i])) {
+        index = i;
+        break;
+      }
+    }
+  }
+  
+  const vowel = syllable[index];
+  return syllable.slice(0, index) + TONE_MARKS[vowel][tone - 1] + syllable.slice(index + 1);
+}
+
+// Format parsed syllables in tone-mark and tone-number form
+function formatPinyin(syllables) {
+  return {
+    marks: syllables.map(toToneMark).join(' '),
+    numbers: syllables.map(({ syllable, tone }) => `${syllable.replace(/\u00fc/g, 'v')}${tone}`).join(' ')
+  };
+}
+
+// Hanzi that read as parsed pinyin, one character per syllable. A neutral-tone
+// syllable without a character of its own takes one with the syllable in any
+// tone. Returns null if a syllable has no character in the dictionary
+function pinyinToHanzi(syllables) {
+  const characters = [];
+  
+  for (const { syllable, tone } of syllables) {
+    const base = syllable.replace(/\u00fc/g, 'v');
+    const character = SYLLABLE_CHARACTERS[`${base}${tone}`] ||
+      (tone === 5 ? [1, 2, 3, 4].map(other => SYLLABLE_CHARACTERS[`${base}${other}`]).find(Boolean) : null);
+    
+    if (!character) return null;
+    characters.push(character);
+  }
+  
+  return characters.join('');
+}
+
+// Look up the reading of each Hanzi in the bundled dictionary. Characters
+// missing from the dictionary are kept as-is
+function annotatePinyin(text) {
+  const marks = [];
+  const numbers = [];
+  let complete = true;
+  
+  for (const char of text) {
+    if (!/[\u4e00-\u9fff\u3400-\u4dbf]/.test(char)) continue;
+    
+    const reading = PINYIN_DICTIONARY[char] || PINYIN_DICTIONARY[TO_SIMPLIFIED[char]];
+    if (!reading) {
+      marks.push(char);
+      numbers.push(char);
+      complete = false;
+      continue;
+    }
+    
+    const [syllable] = parsePinyin(reading);
+    marks.push(toToneMark(syllable));
+    numbers.push(reading);
+  }
+  
+  return { marks: marks.join(' '), numbers: numbers.join(' '), complete };
+}
+
+// Validate a word for per-character breakdown
+function isValidBreakdownWord(word) {
+  return isValidChineseText(word) && word.length <= AUDIO_CONFIG.BREAKDOWN_MAX_LENGTH;
+}
+
+// The Hanzi of a word, in order, for per-character breakdown
+function breakdownCharacters(word) {
+  return Array.from(word).filter(char => /[\u4e00-\u9fff\u3400-\u4dbf]/.test(char));
+}
+
+// Convert text to Simplified characters
+function toSimplified(text) {
+  return Array.from(text, char => TO_SIMPLIFIED[char] || char).join('');
+}
+
+// Split text into the longest words found in a table, and single characters
+// elsewhere. Returns [{ chunk, word }] where word is true for table matches
+function splitLongestWords(text, table, maxLength) {
+  const chunks = [];
+  
+  for (let i = 0; i < text.length;) {
+    let length = Math.min(maxLength, text.length - i);
+    while (length > 1 && !table[text.substr(i, length)]) length--;
+    
+    const chunk = text.substr(i, length);
+    chunks.push({ chunk, word: length > 1 });
+    i += length;
+  }
+  
+  return chunks;
+}
+
+// Convert text to Traditional characters, matching the longest phrase
+// exception first and falling back to per-character forms
+function toTraditional(text) {
+  return splitLongestWords(toSimplified(text), TRADITIONAL_PHRASES, PHRASE_MAX_LENGTH)
+    .map(({ chunk, word }) => word ? TRADITIONAL_PHRASES[chunk] : (TO_TRADITIONAL[chunk] || chunk))
+    .join('');
+}
+
+// The script a language is read in
+function scriptFor(language) {
+  return TRADITIONAL_LANGUAGES.includes(language) ? 'traditional' : 'simplified';
+}
+
+// Convert text into the script of a language
+function convertScript(text, language) {
+  return scriptFor(language) === 'traditional' ? toTraditional(text) : toSimplified(text);
+}
+
+// Read Hanzi text using the polyphone dictionary for the words it contains and
+// the per-character dictionary elsewhere. Returns tone-number pinyin, or null
+// when no dictionary word applies or a character has no known reading
+function dictionaryReading(text) {
+  const readings = [];
+  let matched = false;
+  
+  for (const { chunk, word } of splitLongestWords(toSimplified(text), POLYPHONE_WORDS, POLYPHONE_MAX_LENGTH)) {
+    if (word) {
+      readings.push(POLYPHONE_WORDS[chunk]);
+      matched = true;
+    } else if (/[\u4e00-\u9fff\u3400-\u4dbf]/.test(chunk)) {
+      if (!PINYIN_DICTIONARY[chunk]) return null;
+      readings.push(PINYIN_DICTIONARY[chunk]);
+    }
+  }
+  
+  return matched ? readings.join(' ') : null;
+}
+
+// The dictionary reading of Hanzi text, or null when the dictionary has none
+// or it is what reading each character on its own gives anyway
+function changedDictionaryReading(text) {
+  const numbers = dictionaryReading(text);
+  return numbers && numbers !== annotatePinyin(text).numbers ? numbers : null;
+}
+
+// Choose how parsed input is read: an explicit pinyin reading, or one from the
+// polyphone dictionary. Only single-segment Hanzi text takes a reading.
+// Returns { reading } ({ marks, numbers, source } or null) or { error, details }
+function chooseReading(input, reading) {
+  const singleSegment = input.inputType === 'hanzi' && input.ttsText.length <= AUDIO_CONFIG.SEGMENT_LENGTH;
+  
+  if (reading === undefined || reading === null) {
+    const numbers = singleSegment ? changedDictionaryReading(input.ttsText) : null;
+    return {
+      reading: numbers ? { ...formatPinyin(parsePinyin(numbers)), source: 'dictionary' } : null
+    };
+  }
+  
+  if (input.inputType !== 'hanzi') {
+    return { error: 'Invalid reading', details: 'reading only applies to Chinese characters; pinyin is read as written' };
+  }
+  
+  if (!singleSegment) {
+    return {
+      error: 'Invalid reading',
+      details: `reading only applies to text of up to ${AUDIO_CONFIG.SEGMENT_LENGTH} characters`
+    };
+  }
+  
+  const syllables = typeof reading === 'string' ? parsePinyin(reading) : null;
+  if (!syllables) {
+    return { error: 'Invalid reading', details: 'reading must be pinyin, e.g. "yin2 hang2" or "yín háng"' };
+  }
+  
+  const characters = breakdownCharacters(input.ttsText);
+  if (syllables.length !== characters.length) {
+    return {
+      error: 'Invalid reading',
+      details: `reading has ${syllables.length} syllables but the text has ${characters.length} characters`
+    };
+  }
+  
+  return { reading: { ...formatPinyin(syllables), source: 'explicit' } };
+}
+
+// The pinyin reported for input, following its chosen reading if any
+function pinyinFor(input, reading) {
+  return reading ? { marks: reading.marks, numbers: reading.numbers, complete: true } : input.pinyin;
+}
+
+// The tone-number reading stored on a cache entry for a chosen reading.
+// Dictionary readings follow from the text itself, so only explicit readings
+// are stored and become part of the cache key
+function entryReading(reading) {
+  return reading && reading.source === 'explicit' ? reading.numbers : null;
+}
+
+// The reading to give a provider for text: the entry's explicit reading, or
+// else the dictionary one. Providers without reading support get none and
+// read the characters themselves
+function providerReading(provider, text, reading) {
+  if (!provider.readings) return null;
+  return reading || (text.length <= AUDIO_CONFIG.SEGMENT_LENGTH ? changedDictionaryReading(text) : null);
+}
+
+// Classify input as Hanzi or pinyin. Returns the text to synthesize and its
+// pinyin, or null if the input is neither. Hanzi are converted to the script
+// of the language unless convert is false. Pinyin is synthesized as Hanzi of
+// the same reading, since a Chinese voice may not read romanization as
+// Mandarin; pinyin with a syllable the dictionary has no character for is null
+function parseTextInput(text, { language, convert = true } = {}) {
+  if (isValidChineseText(text)) {
+    const converted = Boolean(language) && convert;
+    const displayText = converted ? convertScript(text, language) : text;
+    
+    return {
+      inputType: 'hanzi',
+      ttsText: displayText,
+      displayText,
+      script: converted ? scriptFor(language) : undefined,
+      pinyin: annotatePinyin(displayText)
+    };
+  }
+  
+  if (typeof text !== 'string' || text.length > AUDIO_CONFIG.SEGMENT_LENGTH) return null;
+  
+  const syllables = parsePinyin(text);
+  if (!syllables) return null;
+  
+  const hanzi = pinyinToHanzi(syllables);
+  if (!hanzi) return null;
+  
+  const pinyin = { ...formatPinyin(syllables), complete: true };
+  const ttsText = language && convert ? convertScript(hanzi, language) : hanzi;
+  return { inputType: 'pinyin', ttsText, displayText: text, pinyin };
+}
+
+// Run work under a request ID so its log lines carry it
+function runForRequest(requestId, work) {
+  return requestContext.run({ requestId }, work);
+}
+
+// Replace the values of LOG_REDACT keys, and of LOG_REDACT query parameters
+// inside strings such as request paths. Errors are reduced to message and stack
+function redact(value, names) {
+  if (value instanceof Error) {
+    return { message: value.message, stack: value.stack };
+  }
+  if (typeof value === 'string') {
+    return value.replace(/([?&])([^=&#\s]+)=([^&#\s]*)/g, (match, separator, name) =>
+      names.has(name.toLowerCase()) ? `${separator}${name}=[REDACTED]` : match);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, names));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+      [key, names.has(key.toLowerCase()) ? '[REDACTED]' : redact(item, names)]));
+  }
+  return value;
+}
+
+// Write a log record at or above LOG_LEVEL, tagged with the current request ID
+function writeLog(level, msg, fields = {}) {
+  const threshold = LOG_LEVELS.indexOf(AUDIO_CONFIG.LOG_LEVEL);
+  if (threshold === -1 || LOG_LEVELS.indexOf(level) < threshold) return;
+  
+  const context = requestContext.getStore();
+  const names = new Set(AUDIO_CONFIG.LOG_REDACT.map(name => name.toLowerCase()));
+  const record = {
+    time: new Date(clock.now()).toISOString(),
+    level,
+    msg,
+    requestId: context ? context.requestId : undefined,
+    ...redact(fields, names)
+  };
+  
+  if (logSink) {
+    logSink[logSink[level] ? level : 'info'](record);
+  } else {
+    (level === 'warn' || level === 'error' ? process.stderr : process.stdout).write(JSON.stringify(record) + '\n');
+  }
+}
+
+// Record response time metrics
+function recordMetrics(endpoint, responseTime) {
+  if (!requestMetrics.has(endpoint)) {
+    requestMetrics.set(endpoint, []);
+  }
+  
+  const metrics = requestMetrics.get(endpoint);
+  metrics.push(responseTime);
+  
+  if (metrics.length > 100) {
+    metrics.shift();
+  }
+}
+
+// Load API keys from API_KEYS ("role:key,role:key") and API_KEYS_FILE
+// ([{ "name", "role", "key" }]). Throws on malformed config so the service
+// never starts open by mistake
+async function loadApiKeys() {
+  const configured = AUDIO_CONFIG.API_KEYS.split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map((item, index) => {
+      const separator = item.indexOf(':');
+      return {
+        name: `env-${index + 1}`,
+        role: item.slice(0, separator),
+        key: item.slice(separator + 1)
+      };
+    });
+  
+  if (AUDIO_CONFIG.API_KEYS_FILE) {
+    const fileKeys = JSON.parse(await fs.readFile(AUDIO_CONFIG.API_KEYS_FILE, 'utf8'));
+    if (!Array.isArray(fileKeys)) {
+      throw new Error(`${AUDIO_CONFIG.API_KEYS_FILE} must contain an array of keys`);
+    }
+    configured.push(...fileKeys);
+  }
+  
+  apiKeys.clear();
+  for (const { name, role, key } of configured) {
+    if (!ROLES.includes(role) || typeof key !== 'string' || key.length === 0) {
+      throw new Error(`Invalid API key "${name}": needs a role (${ROLES.join(', ')}) and a key`);
+    }
+    apiKeys.set(hashContent(key), { name: name || `key-${apiKeys.size + 1}`, role });
+  }
+}
+
+// Record an admin action in memory and append it to the audit log file
+function recordAudit(record) {
+  auditLog.push(record);
+  if (auditLog.length > AUDIO_CONFIG.AUDIT_LOG_SIZE) {
+    auditLog.shift();
+  }
+  
+  const line = JSON.stringify(record) + '\n';
+  auditWrites = auditWrites
+    .then(async () => {
+      await fs.mkdir(path.dirname(AUDIO_CONFIG.AUDIT_LOG_FILE), { recursive: true });
+      await fs.appendFile(AUDIO_CONFIG.AUDIT_LOG_FILE, line);
+    })
+    .catch(error => logger.error('Error writing audit log', { error: error.message }));
+}
+
+// Require an API key with the given role. Admin keys can call client routes.
+// Keys are sent as "Authorization: Bearer <key>" or "X-API-Key: <key>"; routes
+// with allowQueryKey also take ?apiKey= for clients like <audio> elements that
+// cannot set headers. Every admin route call is audited, including refusals
+function requireRole(role, { allowQueryKey = false } = {}) {
+  return (req, res, next) => {
+    const header = req.get('Authorization') || '';
+    const key = header.startsWith('Bearer ')
+      ? header.slice('Bearer '.length).trim()
+      : req.get('X-API-Key') || (allowQueryKey ? req.query.apiKey : undefined);
+    const identity = typeof key === 'string' && key ? apiKeys.get(hashContent(key)) : undefined;
+    
+    if (role === 'admin') {
+      res.on('finish', () => {
+        recordAudit({
+          time: new Date(clock.now()).toISOString(),
+          actor: identity ? identity.name : null,
+          role: identity ? identity.role : null,
+          method: req.method,
+          path: req.originalUrl.split('?')[0],
+          status: res.statusCode,
+          ip: req.ip
+        });
+      });
+    }
+    
+    if (apiKeys.size === 0) {
+      return next();
+    }
+    
+    if (!identity) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        details: key ? 'Unknown API key' : 'Send an API key as "Authorization: Bearer <key>"'
+      });
+    }
+    
+    if (role === 'admin' && identity.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        details: 'This endpoint requires an admin API key'
+      });
+    }
+    
+    req.apiKey = identity;
+    next();
+  };
+}
+
+// Add an observation to a histogram series. labels must always list the
+// same keys in the same order for a given metric
+function observeHistogram(name, labels, value) {
+  if (!histograms.has(name)) {
+    histograms.set(name, new Map());
+  }
+  
+  const series = histograms.get(name);
+  const labelKey = JSON.stringify(labels);
+  let data = series.get(labelKey);
+  
+  if (!data) {
+    data = { labels, counts: new Array(LATENCY_BUCKETS.length).fill(0), sum: 0, count: 0 };
+    series.set(labelKey, data);
+  }
+  
+  LATENCY_BUCKETS.forEach((bound, index) => {
+    if (value <= bound) data.counts[index]++;
+  });
+  data.sum += value;
+  data.count++;
+}
+
+// Nearest-rank percentile of sorted values
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+// Format a Prometheus label set
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) =>
+    `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Render every metric in the Prometheus text exposition format
+function renderMetrics() {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of samples) {
+      lines.push(`${name}${formatLabels(labels)} ${value}`);
+    }
+  };
+  const histogram = (name, help) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} histogram`);
+    for (const data of (histograms.get(name) || new Map()).values()) {
+      LATENCY_BUCKETS.forEach((bound, index) => {
+        lines.push(`${name}_bucket${formatLabels({ ...data.labels, le: String(bound) })} ${data.counts[index]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...data.labels, le: '+Inf' })} ${data.count}`);
+      lines.push(`${name}_sum${formatLabels(data.labels)} ${data.sum}`);
+      lines.push(`${name}_count${formatLabels(data.labels)} ${data.count}`);
+    }
+  };
+  
+  histogram('http_request_duration_seconds', 'HTTP request duration by method, route and status code');
+  
+  metric('audio_cache_entries', 'gauge', 'Entries in the audio URL cache', [[{}, audioCache.size]]);
+  metric('audio_cache_hits_total', 'counter', 'Audio cache lookups that found an entry', [[{}, cacheStats.hits]]);
+  metric('audio_cache_misses_total', 'counter', 'Audio cache lookups that found nothing', [[{}, cacheStats.misses]]);
+  metric('audio_cache_evictions_total', 'counter', 'Audio cache entries evicted to stay under MAX_CACHE_SIZE', [[{}, cacheStats.evictions]]);
+  metric('audio_cache_expirations_total', 'counter', 'Audio cache entries removed after their TTL', [[{}, cacheStats.expirations]]);
+  
+  metric('audio_disk_cache_bytes', 'gauge', 'Bytes of audio stored on disk', [[{}, diskStats.totalBytes]]);
+  metric('audio_disk_cache_files', 'gauge', 'Audio files stored on disk', [[{}, diskIndex.size]]);
+  metric('audio_disk_cache_hits_total', 'counter', 'Audio loads served from disk', [[{}, diskStats.hits]]);
+  metric('audio_disk_cache_misses_total', 'counter', 'Audio loads that had to synthesize', [[{}, diskStats.misses]]);
+  metric('audio_disk_cache_evictions_total', 'counter', 'Audio files evicted to stay under DISK_CACHE_MAX_BYTES', [[{}, diskStats.evictions]]);
+  metric('audio_disk_cache_integrity_failures_total', 'counter', 'Audio files that failed their hash check', [[{}, diskStats.integrityFailures]]);
+  
+  const upstream = [];
+  for (const [name, stats] of providerStats) {
+    upstream.push([{ provider: name, result: 'success' }, stats.success]);
+    upstream.push([{ provider: name, result: 'failure' }, stats.failure]);
+  }
+  metric('tts_upstream_requests_total', 'counter', 'TTS provider calls by result', upstream);
+  metric('tts_circuit_state', 'gauge', 'Provider circuit state: 0 closed, 1 half-open, 2 open',
+    Array.from(circuitBreakers, ([name, breaker]) =>
+      [{ provider: name }, ['closed', 'half-open', 'open'].indexOf(circuitState(breaker))]));
+  metric('tts_circuit_rejections_total', 'counter', 'Provider calls skipped because the circuit was open',
+    Array.from(circuitBreakers, ([name, breaker]) => [{ provider: name }, breaker.rejected]));
+  metric('audio_fetches_coalesced_total', 'counter', 'Audio loads that shared a fetch already in flight', [[{}, upstreamStats.coalesced]]);
+  metric('audio_stale_served_total', 'counter', 'Stale audio served because the upstream failed', [[{}, upstreamStats.staleServed]]);
+  histogram('tts_upstream_duration_seconds', 'TTS provider call duration by provider and result');
+  
+  const jobCounts = new Map();
+  for (const job of preloadQueue.values()) {
+    const labels = { type: job.type || 'preload', status: job.status };
+    const labelKey = JSON.stringify(labels);
+    jobCounts.set(labelKey, [labels, (jobCounts.has(labelKey) ? jobCounts.get(labelKey)[1] : 0) + 1]);
+  }
+  metric('preload_jobs', 'gauge', 'Preload requests and deck jobs by type and status', Array.from(jobCounts.values()));
+  
+  const memory = process.memoryUsage();
+  const cpu = process.cpuUsage();
+  metric('process_cpu_seconds_total', 'counter', 'User and system CPU time', [[{}, (cpu.user + cpu.system) / 1e6]]);
+  metric('process_resident_memory_bytes', 'gauge', 'Resident memory size', [[{}, memory.rss]]);
+  metric('process_heap_used_bytes', 'gauge', 'V8 heap in use', [[{}, memory.heapUsed]]);
+  metric('process_start_time_seconds', 'gauge', 'Process start time since the Unix epoch',
+    [[{}, Math.floor(clock.now() / 1000 - process.uptime())]]);
+  
+  return lines.join('\n') + '\n';
+}
+
+// Reload the configuration and apply the reloadable keys. Nothing changes if
+// the new configuration is invalid. In-flight requests keep running because
+// AUDIO_CONFIG is updated in place rather than restarting the server
+function reloadConfig() {
+  const { config, sources, file, errors } = loadConfig();
+  if (errors.length > 0) {
+    return { errors };
+  }
+  
+  const changed = [];
+  const requiresRestart = [];
+  
+  for (const key of Object.keys(CONFIG_SCHEMA)) {
+    if (JSON.stringify(config[key]) === JSON.stringify(AUDIO_CONFIG[key])) continue;
+    
+    if (CONFIG_SCHEMA[key].reloadable) {
+      AUDIO_CONFIG[key] = config[key];
+      configSources[key] = sources[key];
+      changed.push(key);
+    } else {
+      requiresRestart.push(key);
+    }
+  }
+  configFile = file;
+  
+  // Shrink the caches right away if their limits were lowered
+  evictCacheEntries();
+  evictDiskCache().catch(error => logger.error('Error evicting disk cache', { error: error.message }));
+  
+  return { changed, requiresRestart };
+}
+
+// Reload configuration and log the outcome
+function reloadConfigAndLog(trigger) {
+  const result = reloadConfig();
+  
+  if (result.errors) {
+    logger.error('Configuration reload rejected', { trigger, errors: result.errors });
+  } else {
+    logger.info('Configuration reloaded', {
+      trigger,
+      changed: result.changed,
+      requiresRestart: result.requiresRestart
+    });
+  }
+  
+  return result;
+}
+
+// Identify the caller for rate limiting: its API key name, or its IP
+function rateLimitClient(req) {
+  return req.apiKey ? `key:${req.apiKey.name}` : `ip:${req.ip}`;
+}
+
+// Refill a client's bucket for the time since it was last used, then try to
+// take cost tokens from it
+function takeToken(client, name, now = clock.now(), cost = 1) {
+  const { capacity, refillPerSecond } = AUDIO_CONFIG.RATE_LIMITS[name];
+  const bucketKey = `${client}|${name}`;
+  
+  let bucket = rateBuckets.get(bucketKey);
+  if (!bucket) {
+    bucket = { client, name, tokens: capacity, updatedAt: now, allowed: 0, limited: 0 };
+    rateBuckets.set(bucketKey, bucket);
+  }
+  
+  bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+  bucket.updatedAt = now;
+  
+  const allowed = bucket.tokens >= cost;
+  if (allowed) {
+    bucket.tokens -= cost;
+    bucket.allowed++;
+  } else {
+    bucket.limited++;
+  }
+  
+  return {
+    allowed,
+    limit: capacity,
+    remaining: Math.floor(bucket.tokens),
+    reset: Math.ceil((capacity - bucket.tokens) / refillPerSecond),
+    retryAfter: Math.ceil((cost - bucket.tokens) / refillPerSecond)
+  };
+}
+
+// Charge the caller cost tokens from the named bucket and set RateLimit-*
+// headers. Sends 429 and returns false when the bucket is short
+function applyRateLimit(req, res, name, cost = 1) {
+  if (!AUDIO_CONFIG.RATE_LIMIT_ENABLED) return true;
+  
+  const result = takeToken(rateLimitClient(req), name, clock.now(), cost);
+  
+  res.setHeader('RateLimit-Limit', result.limit);
+  res.setHeader('RateLimit-Remaining', result.remaining);
+  res.setHeader('RateLimit-Reset', result.reset);
+  
+  // A cost above the bucket's capacity can never be paid, so waiting won't help
+  if (cost > result.limit) {
+    res.status(429).json({
+      error: 'Too many requests',
+      details: `Request costs ${cost} ${name} tokens but the rate limit allows at most ${result.limit}`
+    });
+    return false;
+  }
+  
+  if (!result.allowed) {
+    res.setHeader('Retry-After', result.retryAfter);
+    res.status(429).json({
+      error: 'Too many requests',
+      details: `Rate limit for ${name} exceeded, retry in ${result.retryAfter}s`,
+      retryAfter: result.retryAfter
+    });
+    return false;
+  }
+  
+  return true;
+}
+
+// Rate limit a route with the named bucket
+function rateLimit(name) {
+  return (req, res, next) => {
+    if (applyRateLimit(req, res, name)) {
+      next();
+    }
+  };
+}
+
+// Drop buckets that have refilled completely; they hold no state worth keeping
+function purgeIdleBuckets(now = clock.now()) {
+  for (const [bucketKey, bucket] of rateBuckets) {
+    const { capacity, refillPerSecond } = AUDIO_CONFIG.RATE_LIMITS[bucket.name];
+    if (bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond >= capacity) {
+      rateBuckets.delete(bucketKey);
+    }
+  }
+}
+
+// Health check
+app.get('/health', (req, res) => {
+  const startTime = clock.now();
+  
+  const avgResponseTimes = {};
+  const latencyPercentiles = {};
+  for (const [endpoint, times] of requestMetrics) {
+    if (times.length > 0) {
+      avgResponseTimes[endpoint] = Math.round(
+        times.reduce((a, b) => a + b, 0) / times.length
+      );
+      
+      const sorted = [...times].sort((a, b) => a - b);
+      latencyPercentiles[endpoint] = {
+        p50: percentile(sorted, 50),
+        p95: percentile(sorted, 95),
+        p99: percentile(sorted, 99)
+      };
+    }
+  }
+  
+  const providers = {};
+  for (const [name, stats] of providerStats) {
+    providers[name] = {
+      enabled: AUDIO_CONFIG.TTS_PROVIDERS.includes(name),
+      available: ttsProviders.get(name).isAvailable(),
+      success: stats.success,
+      failure: stats.failure,
+      lastError: stats.lastError,
+      circuit: describeCircuit(name)
+    };
+  }
+  
+  // Degraded when there is no provider to call or any provider in the chain
+  // has an open or half-open circuit
+  const chain = getProviderChain();
+  const degraded = chain.length === 0 ||
+    chain.some(provider => providers[provider.name].circuit.state !== 'closed');
+  
+  const responseTime = clock.now() - startTime;
+  
+  res.json({
+    status: degraded ? 'degraded' : 'healthy',
+    service: 'Pronunciation Audio Service',
+    uptime: Math.floor(process.uptime()),
+    timestamp: new Date(clock.now()).toISOString(),
+    cache: {
+      size: audioCache.size,
+      maxSize: AUDIO_CONFIG.MAX_CACHE_SIZE
+    },
+    providers,
+    upstream: {
+      inflight: inflightFetches.size,
+      coalesced: upstreamStats.coalesced,
+      staleServed: upstreamStats.staleServed
+    },
+    averageResponseTimes: avgResponseTimes,
+    latencyPercentiles,
+    responseTime: `${responseTime}ms`
+  });
+});
+
+// Prometheus metrics
+app.get('/metrics', (req, res) => {
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics());
+});
+
+// The bundled word list of an HSK level. Returns { words }, or { status,
+// error, details } with 400 for an invalid level
+function findHskDeck(level) {
+  if (!HSK_LEVELS.includes(level)) {
+    return {
+      status: 400,
+      error: 'Invalid hskLevel',
+      details: `hskLevel must be a whole number from ${HSK_LEVELS[0]} to ${HSK_LEVELS[HSK_LEVELS.length - 1]}`
+    };
+  }
+  
+  return { words: HSK_DECKS.get(level) };
+}
+
+// Look up or create the cache entry for one /audio request body. Returns
+// { result } with the response fields, or { error, ... } for a 400 response
+function lookupAudio(params) {
+  const {
+    text,
+    language = AUDIO_CONFIG.DEFAULT_LANGUAGE,
+    ttl,
+    speed,
+    voice,
+    gender,
+    convert = true,
+    reading: requestedReading
+  } = params;
+  
+  if (typeof convert !== 'boolean') {
+    return {
+      error: 'Invalid convert',
+      details: 'convert must be true or false'
+    };
+  }
+  
+  const input = parseTextInput(text, { language, convert });
+  
+  if (!input) {
+    return {
+      error: 'Invalid Chinese text provided',
+      details: `Text must contain Chinese characters (up to ${AUDIO_CONFIG.MAX_TEXT_LENGTH}) or pinyin (up to ${AUDIO_CONFIG.SEGMENT_LENGTH} characters)`
+    };
+  }
+  
+  if (!AUDIO_CONFIG.SUPPORTED_LANGUAGES.includes(language)) {
+    return {
+      error: 'Unsupported language',
+      supportedLanguages: AUDIO_CONFIG.SUPPORTED_LANGUAGES
+    };
+  }
+  
+  const invalidTtl = validateTtl(ttl);
+  if (invalidTtl) {
+    return invalidTtl;
+  }
+  
+  const { variant, error, details } = parseVariant({ speed, voice, gender }, language);
+  
+  if (!variant) {
+    return { error, details };
+  }
+  
+  const chosen = chooseReading(input, requestedReading);
+  
+  if (chosen.error) {
+    return { error: chosen.error, details: chosen.details };
+  }
+  
+  const { reading } = chosen;
+  const cacheKey = generateCacheKey(input.ttsText, language, variant, entryReading(reading));
+  const cachedData = getCacheEntry(cacheKey);
+  const entry = cachedData || createEntryFor(input.ttsText, language, { ttl, variant, reading: entryReading(reading) });
+  
+  if (!cachedData) {
+    setCacheEntry(cacheKey, entry);
+  }
+  
+  return {
+    result: {
+      text,
+      displayText: input.displayText,
+      script: input.script,
+      inputType: input.inputType,
+      pinyin: pinyinFor(input, reading),
+      reading,
+      language,
+      ...variant,
+      audioUrl: `/play/${cacheKey}`,
+      provider: entry.provider,
+      source: audioSource(input.ttsText, language),
+      segments: entry.segments ? describeSegments(entry) : undefined,
+      manifestUrl: entry.segments ? `/play/${cacheKey}/manifest` : undefined,
+      cached: Boolean(cachedData)
+    }
+  };
+}
+
+// Get pronunciation audio URL
+app.post('/audio', requireRole('client'), rateLimit('audio'), (req, res) => {
+  const startTime = clock.now();
+  
+  try {
+    const { result, ...invalid } = lookupAudio(req.body);
+    
+    if (!result) {
+      return res.status(400).json(invalid);
+    }
+    
+    const responseTime = clock.now() - startTime;
+    res.locals.cache = result.cached ? 'hit' : 'miss';
+    recordMetrics('/audio', responseTime);
+    
+    res.json({
+      success: true,
+      ...result,
+      responseTime: `${responseTime}ms`
+    });
+    
+  } catch (error) {
+    logger.error('Error generating audio URL', { error });
+    const responseTime = clock.now() - startTime;
+    
+    res.status(500).json({
+      error: 'Internal server error while generating audio',
+      responseTime: `${responseTime}ms`
+    });
+  }
+});
+
+// Get audio URLs for many texts in one request. Fields outside items are
+// defaults for every item. Each item gets its own result or error, echoing
+// its id, so one invalid text doesn't fail the rest. Every item costs one
+// token from the batch rate limit, whose default capacity holds two batches
+// of MAX_BATCH_ITEMS
+app.post('/audio/batch', requireRole('client'), (req, res, next) => {
+  // Built per request so the limit follows the loaded configuration
+  express.json({ limit: AUDIO_CONFIG.MAX_BATCH_BYTES })(req, res, next);
+}, (req, res) => {
+  const startTime = clock.now();
+  
+  try {
+    const { items, ...defaults } = req.body || {};
+    
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid items',
+        details: 'items must be a non-empty array of { id, text, ... } objects'
+      });
+    }
+    
+    if (items.length > AUDIO_CONFIG.MAX_BATCH_ITEMS) {
+      return res.status(413).json({
+        error: 'Too many items',
+        details: `A batch holds at most ${AUDIO_CONFIG.MAX_BATCH_ITEMS} items`
+      });
+    }
+    
+    if (!applyRateLimit(req, res, 'batch', items.length)) return;
+    
+    const results = items.map((item) => {
+      if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+        return { success: false, error: 'Invalid item', details: 'Each item must be an object' };
+      }
+      
+      const { id } = item;
+      if (id !== undefined && typeof id !== 'string' && typeof id !== 'number') {
+        return { success: false, error: 'Invalid id', details: 'id must be a string or a number' };
+      }
+      
+      try {
+        const { result, ...invalid } = lookupAudio({ ...defaults, ...item });
+        return result ? { id, success: true, ...result } : { id, success: false, ...invalid };
+      } catch (error) {
+        logger.error('Error generating audio URL', { id, error });
+        return { id, success: false, error: 'Internal server error while generating audio' };
+      }
+    });
+    
+    const succeeded = results.filter(result => result.success);
+    const hits = succeeded.filter(result => result.cached).length;
+    const responseTime = clock.now() - startTime;
+    
+    res.locals.cache = hits === 0 ? 'miss' : hits === succeeded.length ? 'hit' : 'partial';
+    recordMetrics('/audio/batch', responseTime);
+    
+    res.json({
+      success: true,
+      count: results.length,
+      succeeded: succeeded.length,
+      failed: results.length - succeeded.length,
+      results,
+      responseTime: `${responseTime}ms`
+    });
+    
+  } catch (error) {
+    logger.error('Error generating batch audio URLs', { error });
+    const responseTime = clock.now() - startTime;
+    
+    res.status(500).json({
+      error: 'Internal server error while generating audio',
+      responseTime: `${responseTime}ms`
+    });
+  }
+});
+
+// Check an If-None-Match header against an ETag, using weak comparison
+function etagMatches(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  
+  return header.split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .includes(etag);
+}
+
+// Parse a single "bytes=" range against a body size. Returns { start, end }
+// (end inclusive), null to serve the whole body, or 'unsatisfiable'
+function parseRange(header, size) {
+  if (!header) return null;
+  
+  const match = header.match(/^bytes=(\d*)-(\d*)$/);
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+  
+  let start;
+  let end;
+  if (match[1] === '') {
+    const suffixLength = parseInt(match[2], 10);
+    if (suffixLength === 0) return 'unsatisfiable';
+    start = Math.max(size - suffixLength, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+  
+  if (start >= size || start > end) return 'unsatisfiable';
+  return { start, end };
+}
+
+// Break a word down into whole-word audio plus audio for each character
+app.post('/audio/breakdown', requireRole('client'), rateLimit('audio'), (req, res) => {
+  const startTime = clock.now();
+  
+  try {
+    const {
+      word,
+      language = AUDIO_CONFIG.DEFAULT_LANGUAGE,
+      ttl,
+      speed,
+      voice,
+      gender,
+      convert = true,
+      reading: requestedReading
+    } = req.body;
+    
+    if (typeof convert !== 'boolean') {
+      return res.status(400).json({
+        error: 'Invalid convert',
+        details: 'convert must be true or false'
+      });
+    }
+    
+    if (!isValidBreakdownWord(word)) {
+      return res.status(400).json({
+        error: 'Invalid word provided',
+        details: `Word must be Chinese characters, at most ${AUDIO_CONFIG.BREAKDOWN_MAX_LENGTH} long`
+      });
+    }
+    
+    if (!AUDIO_CONFIG.SUPPORTED_LANGUAGES.includes(language)) {
+      return res.status(400).json({
+        error: 'Unsupported language',
+        supportedLanguages: AUDIO_CONFIG.SUPPORTED_LANGUAGES
+      });
+    }
+    
+    const invalidTtl = validateTtl(ttl);
+    if (invalidTtl) {
+      return res.status(400).json(invalidTtl);
+    }
+    
+    const { variant, error, details } = parseVariant({ speed, voice, gender }, language);
+    
+    if (!variant) {
+      return res.status(400).json({ error, details });
+    }
+    
+    const displayText = convert ? convertScript(word, language) : word;
+    const input = parseTextInput(displayText);
+    const chosen = chooseReading(input, requestedReading);
+    
+    if (chosen.error) {
+      return res.status(400).json({ error: chosen.error, details: chosen.details });
+    }
+    
+    const { reading } = chosen;
+    const whole = lookupOrCreateEntry(displayText, language, { ttl, variant, reading: entryReading(reading) });
+    
+    // Each character is read as in the word, so 行 in 银行 is háng. A syllable
+    // that differs from the character's own reading becomes its explicit
+    // reading, keying its audio like a /audio request with that reading
+    const wordCharacters = breakdownCharacters(displayText);
+    const syllables = reading ? reading.numbers.split(' ') : [];
+    const characters = wordCharacters.map((character, index) => {
+      const own = annotatePinyin(character);
+      const syllable = syllables.length === wordCharacters.length ? syllables[index] : null;
+      const characterReading = syllable && syllable !== own.numbers ? formatPinyin(parsePinyin(syllable)) : null;
+      const { cacheKey, cached } = lookupOrCreateEntry(character, language, {
+        ttl,
+        variant,
+        reading: characterReading ? characterReading.numbers : null
+      });
+      const { marks, numbers } = characterReading || own;
+      
+      return {
+        character,
+        reading: { marks, numbers },
+        audioUrl: `/play/${cacheKey}`,
+        source: audioSource(character, language),
+        cached
+      };
+    });
+    
+    const responseTime = clock.now() - startTime;
+    recordMetrics('/audio/breakdown', responseTime);
+    res.locals.cache = whole.cached ? 'hit' : 'miss';
+    
+    res.json({
+      success: true,
+      word,
+      displayText,
+      script: convert ? scriptFor(language) : undefined,
+      language,
+      ...variant,
+      pinyin: pinyinFor(input, reading),
+      reading,
+      audioUrl: `/play/${whole.cacheKey}`,
+      source: audioSource(displayText, language),
+      cached: whole.cached,
+      characters,
+      responseTime: `${responseTime}ms`
+    });
+    
+  } catch (error) {
+    logger.error('Error building breakdown', { error });
+    const responseTime = clock.now() - startTime;
+    
+    res.status(500).json({
+      error: 'Internal server error while building breakdown',
+      responseTime: `${responseTime}ms`
+    });
+  }
+});
+
+// Proxy endpoint to serve audio files (fixes CORS issues). Also answers HEAD,
+// Range and If-None-Match requests
+app.get('/play/:cacheKey', requireRole('client', { allowQueryKey: true }), rateLimit('play'), async (req, res) => {
+  const startTime = clock.now();
+  const { cacheKey } = req.params;
+  const cachedData = getCacheEntry(cacheKey);
+  
+  if (!cachedData) {
+    return res.status(404).json({
+      error: 'Audio not found',
+      details: 'The requested audio has not been cached or has expired'
+    });
+  }
+  
+  // Fetches from the upstream TTS host also count against the upstream limit,
+  // except when joining a fetch of the same clip that is already in flight
+  const onDisk = audioSource(cachedData.text, cachedData.language) === 'override' ||
+    Boolean(cachedData.contentHash && diskIndex.has(cachedData.contentHash));
+  if (!onDisk && !inflightFetches.has(cacheKey) && !applyRateLimit(req, res, 'upstream')) {
+    return;
+  }
+  
+  try {
+    const audio = await loadAudio(cacheKey);
+    
+    if (!audio.fromDisk) {
+      logger.debug('Fetched audio', { cacheKey, provider: audio.provider, bytes: audio.body.length });
+    }
+    recordMetrics('/play', clock.now() - startTime);
+    
+    const etag = `"${audio.contentHash}"`;
+    const size = audio.body.length;
+    
+    res.setHeader('Content-Type', audio.contentType);
+    res.locals.cache = audio.stale ? 'stale' : audio.fromDisk ? 'hit' : 'miss';
+    res.setHeader('X-Audio-Cache', res.locals.cache.toUpperCase());
+    res.setHeader('X-Audio-Source', audio.source);
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('ETag', etag);
+    
+    if (etagMatches(req.get('If-None-Match'), etag)) {
+      return res.status(304).end();
+    }
+    
+    // If-Range: only honour the range when the client's copy is still current
+    const ifRange = req.get('If-Range');
+    const range = ifRange && ifRange !== etag ? null : parseRange(req.get('Range'), size);
+    
+    if (range === 'unsatisfiable') {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+    
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+      res.setHeader('Content-Length', range.end - range.start + 1);
+      return res.end(audio.body.slice(range.start, range.end + 1));
+    }
+    
+    res.setHeader('Content-Length', size);
+    res.end(audio.body);
+    
+  } catch (error) {
+    logger.error('Error proxying audio', { error: error.message });
+    
+    if (error.code === 'ECIRCUITOPEN') {
+      res.setHeader('Retry-After', String(error.retryAfter));
+      return res.status(503).json({
+        error: 'TTS provider unavailable',
+        details: error.message
+      });
+    }
+    
+    if (error.code === 'ETIMEDOUT') {
+      return res.status(504).json({
+        error: 'Audio request timed out'
+      });
+    }
+    
+    res.status(500).json({
+      error: 'Failed to retrieve audio',
+      details: error.message
+    });
+  }
+});
+
+// Get the segment manifest of a clip, producing the stitched audio if needed
+app.get('/play/:cacheKey/manifest', requireRole('client'), rateLimit('play'), async (req, res) => {
+  const startTime = clock.now();
+  const { cacheKey } = req.params;
+  const entry = getCacheEntry(cacheKey);
+  
+  if (!entry) {
+    return res.status(404).json({
+      error: 'Audio not found',
+      details: 'The requested audio has not been cached or has expired'
+    });
+  }
+  
+  try {
+    const audio = await loadAudio(cacheKey);
+    res.locals.cache = audio.stale ? 'stale' : audio.fromDisk ? 'hit' : 'miss';
+    const segments = entry.segments
+      ? describeSegments(entry)
+      : [{ text: entry.text, audioUrl: `/play/${cacheKey}`, start: 0, end: audio.body.length }];
+    const responseTime = clock.now() - startTime;
+    
+    res.json({
+      success: true,
+      text: entry.text,
+      language: entry.language,
+      audioUrl: `/play/${cacheKey}`,
+      contentType: audio.contentType,
+      totalBytes: audio.body.length,
+      source: audio.source,
+      stale: Boolean(audio.stale),
+      segments,
+      responseTime: `${responseTime}ms`
+    });
+    
+  } catch (error) {
+    logger.error('Error building manifest', { error: error.message });
+    const responseTime = clock.now() - startTime;
+    
+    if (error.code === 'ECIRCUITOPEN') {
+      res.setHeader('Retry-After', String(error.retryAfter));
+    }
+    
+    res.status(error.code === 'ETIMEDOUT' ? 504 : error.code === 'ECIRCUITOPEN' ? 503 : 500).json({
+      error: 'Failed to retrieve audio',
+      details: error.message,
+      responseTime: `${responseTime}ms`
+    });
+  }
+});
+
+// List the speeds, voices and genders available per language
+app.get('/voices', requireRole('client'), (req, res) => {
+  const startTime = clock.now();
+  
+  try {
+    const { language } = req.query;
+    
+    if (language && !AUDIO_CONFIG.SUPPORTED_LANGUAGES.includes(language)) {
+      return res.status(400).json({
+        error: 'Unsupported language',
+        supportedLanguages: AUDIO_CONFIG.SUPPORTED_LANGUAGES
+      });
+    }
+    
+    const chain = getProviderChain();
+    const languages = {};
+    
+    for (const code of language ? [language] : AUDIO_CONFIG.SUPPORTED_LANGUAGES) {
+      const providers = {};
+      chain.forEach(provider => {
+        providers[provider.name] = provider.variants(code);
+      });
+      
+      languages[code] = {
+        activeProvider: chain.length > 0 ? chain[0].name : null,
+        ...(chain.length > 0 ? chain[0].variants(code) : {}),
+        providers
+      };
+    }
+    
+    const responseTime = clock.now() - startTime;
+    
+    res.json({
+      success: true,
+      languages,
+      responseTime: `${responseTime}ms`
+    });
+    
+  } catch (error) {
+    logger.error('Error listing voices', { error });
+    const responseTime = clock.now() - startTime;
+    
+    res.status(500).json({
+      error: 'Internal server error while listing voices',
+      responseTime: `${responseTime}ms`
+    });
+  }
+});
+
+// Warm the cache and audio bytes for one text, retrying with exponential backoff
+async function preloadText(text, language, options = {}) {
+  const startTime = clock.now();
+  const input = parseTextInput(text, { language, convert: options.convert });
+  const { reading } = chooseReading(input, options.reading);
+  const { cacheKey, entry, cached } = lookupOrCreateEntry(input.ttsText, language, {
+    ...options,
+    reading: entryReading(reading)
+  });
+  
+  const result = {
+    text,
+    displayText: input.displayText,
+    pinyin: pinyinFor(input, reading),
+    reading,
+    audioUrl: `/play/${cacheKey}`,
+    provider: entry.provider,
+    source: audioSource(input.ttsText, language),
+    cached,
+    ok: false,
+    timeout: false,
+    upstream_error: null,
+    bytes: 0,
+    durationMs: 0,
+    attempts: 0
+  };
+  
+  for (let attempt = 0; attempt <= AUDIO_CONFIG.PRELOAD_RETRIES; attempt++) {
+    if (attempt > 0) {
+      const delay = AUDIO_CONFIG.PRELOAD_RETRY_DELAY * Math.pow(2, attempt - 1);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    
+    result.attempts++;
+    
+    // A busy cache can evict the entry between attempts; put it back so the
+    // preload still warms it
+    if (!audioCache.has(cacheKey)) {
+      setCacheEntry(cacheKey, entry);
+    }
+    
+    try {
+      const audio = await withTimeout(
+        signal => loadAudio(cacheKey, { signal }),
+        AUDIO_CONFIG.PRELOAD_TIMEOUT,
+        'Preload timed out'
+      );
+      
+      result.ok = true;
+      result.timeout = false;
+      result.upstream_error = null;
+      result.bytes = audio.body.length;
+      result.provider = audio.provider;
+      result.source = audio.source;
+      break;
+    } catch (error) {
+      result.timeout = error.code === 'ETIMEDOUT';
+      result.upstream_error = error.code === 'ETIMEDOUT' ? null : error.message;
+    }
+  }
+  
+  result.durationMs = clock.now() - startTime;
+  logger[result.ok ? 'debug' : 'warn']('Preloaded text', {
+    cacheKey,
+    ok: result.ok,
+    cached,
+    attempts: result.attempts,
+    durationMs: result.durationMs,
+    error: result.timeout ? 'timed out' : result.upstream_error || undefined
+  });
+  return result;
+}
+
+// Work through the pending texts of a preload request, PRELOAD_CONCURRENCY at
+// a time. Takes no new texts while the service drains for shutdown
+async function runPreloadJob(preloadData) {
+  const { texts, language, ttl, variant, convert, readings = {} } = preloadData;
+  
+  try {
+    await runWithConcurrency(pendingItems(preloadData), AUDIO_CONFIG.PRELOAD_CONCURRENCY, async (index) => {
+      if (draining || preloadData.status !== 'processing') return;
+      
+      const result = await preloadText(texts[index], language, { ttl, variant, convert, reading: readings[texts[index]] });
+      completeJobItem(preloadData, index, result);
+      emitPreloadEvent(preloadData, 'item', result);
+    });
+    
+    // Cancelled by /cache/clear, which recorded when it stopped
+    if (preloadData.status !== 'cancelled') {
+      // Left processing when interrupted by shutdown, to resume on the next start
+      if (preloadData.completed.length < texts.length) return;
+      
+      // Report results in the order of the texts
+      const order = new Map(preloadData.completed.map((index, position) => [preloadData.results[position], index]));
+      preloadData.results.sort((a, b) => order.get(a) - order.get(b));
+      preloadData.completed.sort((a, b) => a - b);
+      
+      preloadData.status = preloadStatus(preloadData.results);
+      preloadData.completedTime = clock.now();
+      preloadData.processingDuration = preloadData.completedTime - preloadData.startTime;
+    }
+    
+  } catch (error) {
+    logger.error('Error during preloading', { error });
+    preloadData.status = 'failed';
+    preloadData.error = error.message;
+  }
+  
+  emitPreloadEvent(preloadData, ['failed', 'cancelled'].includes(preloadData.status) ? preloadData.status : 'completed', {
+    status: preloadData.status,
+    succeeded: preloadData.results.filter(result => result.ok).length,
+    failed: preloadData.results.filter(result => !result.ok).length,
+    processingDuration: preloadData.processingDuration,
+    error: preloadData.error
+  });
+  
+  // The request may have been dropped by /cache/clear while it ran
+  if (preloadQueue.get(preloadData.id) === preloadData) {
+    savePreload(preloadData);
+  }
+}
+
+// Record a progress event on a preload request and notify stream listeners
+function emitPreloadEvent(preloadData, event, data) {
+  if (!preloadData.events) {
+    preloadData.events = [];
+  }
+  
+  const record = { id: preloadData.events.length + 1, event, data };
+  preloadData.events.push(record);
+  preloadEvents.emit(preloadData.id, record);
+}
+
+// Write one Server-Sent Event
+function writeServerEvent(res, record) {
+  res.write(`id: ${record.id}\nevent: ${record.event}\ndata: ${JSON.stringify(record.data)}\n\n`);
+}
+
+// Job status from per-text results: completed, partial or failed
+function preloadStatus(results) {
+  const succeeded = results.filter(result => result.ok).length;
+  
+  if (succeeded === results.length) return 'completed';
+  if (succeeded > 0) return 'partial';
+  return 'failed';
+}
+
+// Preload audio for next card 
+app.post('/preload', requireRole('client'), rateLimit('preload'), (req, res) => {
+  const startTime = clock.now();
+  
+  try {
+    const {
+      texts,
+      language = AUDIO_CONFIG.DEFAULT_LANGUAGE,
+      ttl,
+      speed,
+      voice,
+      gender,
+      breakdown = false,
+      convert = true,
+      readings = {}
+    } = req.body;
+    
+    if (typeof convert !== 'boolean') {
+      return res.status(400).json({
+        error: 'Invalid convert',
+        details: 'convert must be true or false'
+      });
+    }
+    
+    if (!Array.isArray(texts) || texts.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid input: texts must be a non-empty array'
+      });
+    }
+    
+    if (texts.length > 10) {
+      return res.status(400).json({
+        error: 'Too many texts to preload (maximum 10)'
+      });
+    }
+    
+    for (const text of texts) {
+      if (!parseTextInput(text)) {
+        return res.status(400).json({
+          error: `Invalid Chinese text: "${text}"`,
+          details: `All texts must contain Chinese characters (up to ${AUDIO_CONFIG.MAX_TEXT_LENGTH}) or pinyin (up to ${AUDIO_CONFIG.SEGMENT_LENGTH} characters)`
+        });
+      }
+      
+      if (breakdown && !isValidBreakdownWord(text)) {
+        return res.status(400).json({
+          error: `Invalid word for breakdown: "${text}"`,
+          details: `Breakdown words must be Chinese characters, at most ${AUDIO_CONFIG.BREAKDOWN_MAX_LENGTH} long`
+        });
+      }
+    }
+    
+    if (!AUDIO_CONFIG.SUPPORTED_LANGUAGES.includes(language)) {
+      return res.status(400).json({
+        error: 'Unsupported language',
+        supportedLanguages: AUDIO_CONFIG.SUPPORTED_LANGUAGES
+      });
+    }
+    
+    const invalidTtl = validateTtl(ttl);
+    if (invalidTtl) {
+      return res.status(400).json(invalidTtl);
+    }
+    
+    const { variant, error, details } = parseVariant({ speed, voice, gender }, language);
+    
+    if (!variant) {
+      return res.status(400).json({ error, details });
+    }
+    
+    if (readings === null || typeof readings !== 'object' || Array.isArray(readings)) {
+      return res.status(400).json({
+        error: 'Invalid readings',
+        details: 'readings must map texts to pinyin, e.g. { "银行": "yin2 hang2" }'
+      });
+    }
+    
+    for (const [text, reading] of Object.entries(readings)) {
+      const chosen = texts.includes(text)
+        ? chooseReading(parseTextInput(text, { language, convert }), reading)
+        : { error: 'Invalid reading', details: 'readings can only name texts being preloaded' };
+      
+      if (chosen.error) {
+        return res.status(400).json({ error: `${chosen.error} for "${text}"`, details: chosen.details });
+      }
+    }
+    
+    // With breakdown, each word is followed by its individual characters
+    const items = breakdown
+      ? Array.from(new Set(texts.flatMap(text => [text, ...breakdownCharacters(text)])))
+      : texts;
+    
+    const preloadId = crypto.randomUUID();
+    const preloadData = {
+      id: preloadId,
+      texts: items,
+      breakdown,
+      language,
+      variant,
+      convert,
+      readings,
+      ttl,
+      requestId: req.id,
+      status: 'processing',
+      completed: [],
+      results: [],
+      startTime: clock.now(),
+      timestamp: new Date(clock.now()).toISOString()
+    };
+    
+    savePreload(preloadData);
+    startJob(preloadData);
+    
+    const responseTime = clock.now() - startTime;
+    recordMetrics('/preload', responseTime);
+    
+    res.json({
+      success: true,
+      preloadId,
+      status: 'processing',
+      textsCount: items.length,
+      language,
+      responseTime: `${responseTime}ms`,
+      statusUrl: `/preload/${preloadId}`
+    });
+    
+  } catch (error) {
+    logger.error('Error initiating preload', { error });
+    const responseTime = clock.now() - startTime;
+    
+    res.status(500).json({
+      error: 'Internal server error while initiating preload',
+      responseTime: `${responseTime}ms`
+    });
+  }
+});
+
+// Get preload status
+app.get('/preload/:preloadId', requireRole('client'), (req, res) => {
+  const startTime = clock.now();
+  
+  try {
+    const { preloadId } = req.params;
+    
+    if (!preloadQueue.has(preloadId) || preloadQueue.get(preloadId).type === 'deck') {
+      return res.status(404).json({
+        error: 'Preload request not found',
+        preloadId
+      });
+    }
+    
+    const preloadData = preloadQueue.get(preloadId);
+    const responseTime = clock.now() - startTime;
+    
+    if (preloadData.status !== 'processing') {
+      const age = clock.now() - preloadData.startTime;
+      if (age > 300000) {
+        deletePreload(preloadId);
+      }
+    }
+    
+    res.json({
+      success: true,
+      preloadId,
+      status: preloadData.status,
+      results: preloadData.results || [],
+      textsCount: preloadData.texts.length,
+      language: preloadData.language,
+      processingDuration: preloadData.processingDuration,
+      requestId: preloadData.requestId,
+      timestamp: preloadData.timestamp,
+      responseTime: `${responseTime}ms`
+    });
+    
+  } catch (error) {
+    logger.error('Error getting preload status', { error });
+    const responseTime = clock.now() - startTime;
+    
+    res.status(500).json({
+      error: 'Internal server error while getting preload status',
+      responseTime: `${responseTime}ms`
+    });
+  }
+});
+
+// Stream preload progress as Server-Sent Events. Clients reconnecting with
+// Last-Event-ID only receive the events they missed
+app.get('/preload/:preloadId/events', requireRole('client'), (req, res) => {
+  const { preloadId } = req.params;
+  const preloadData = preloadQueue.get(preloadId);
+  
+  if (!preloadData || preloadData.type === 'deck') {
+    return res.status(404).json({
+      error: 'Preload request not found',
+      preloadId
+    });
+  }
+  
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write('retry: 2000\n\n');
+  
+  for (const record of preloadData.events || []) {
+    if (record.id > lastEventId) {
+      writeServerEvent(res, record);
+    }
+  }
+  
+  if (preloadData.status !== 'processing') {
+    return res.end();
+  }
+  
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  
+  const onEvent = (record) => {
+    writeServerEvent(res, record);
+    if (['completed', 'failed', 'cancelled'].includes(record.event)) {
+      res.end();
+    }
+  };
+  
+  preloadEvents.on(preloadId, onEvent);
+  eventStreams.add(res);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    preloadEvents.off(preloadId, onEvent);
+    eventStreams.delete(res);
+  });
+});
+
+// Status of a finished deck job from its progress counts
+function deckStatus(progress) {
+  if (progress.failed === 0) return 'completed';
+  if (progress.failed < progress.done) return 'partial';
+  return 'failed';
+}
+
+// Work through the pending items of a deck job with DECK_CONCURRENCY runners.
+// Runners wait while the job is paused, stop when it is cancelled and take no
+// new items while the service drains for shutdown
+async function runDeckJob(job) {
+  const runner = { waiting: [] };
+  const pending = pendingItems(job);
+  let next = 0;
+  deckRunners.set(job.id, runner);
+  
+  async function runNext() {
+    while (next < pending.length && !draining) {
+      if (job.status === 'paused') {
+        await new Promise(resolve => runner.waiting.push(resolve));
+        continue;
+      }
+      if (job.status !== 'processing') return;
       
-      return res.json({
-        success: true,
+      const index = pending[next++];
+      const text = job.texts[index];
+      const result = await preloadText(text, job.language, { ttl: job.ttl, variant: job.variant, convert: job.convert });
+      
+      completeJobItem(job, index, {
         text,
-        language,
-        audioUrl: `/play/${cacheKey}`,
-        cached: true,
-        responseTime: `${responseTime}ms`
+        ok: result.ok,
+        timeout: result.timeout,
+        upstream_error: result.upstream_error
       });
+      
+      await new Promise(resolve => setTimeout(resolve, AUDIO_CONFIG.DECK_ITEM_DELAY));
+    }
+  }
+  
+  try {
+    const runners = [];
+    for (let i = 0; i < Math.min(AUDIO_CONFIG.DECK_CONCURRENCY, pending.length); i++) {
+      runners.push(runNext());
     }
+    await Promise.all(runners);
     
-    const audioUrl = generateAudioUrl(text, language);
+    // Left as it is when interrupted by shutdown, to resume on the next start
+    if (draining && job.status !== 'cancelled' && job.completed.length < job.texts.length) {
+      deckRunners.delete(job.id);
+      return;
+    }
     
-    cleanCache();
-    audioCache.set(cacheKey, {
-      audioUrl,
-      text,
+    if (job.status === 'processing') {
+      job.status = deckStatus(job.progress);
+    }
+  } catch (error) {
+    logger.error('Error during deck preload', { error });
+    job.status = 'failed';
+    job.error = error.message;
+  }
+  
+  deckRunners.delete(job.id);
+  job.completedTime = clock.now();
+  job.processingDuration = job.completedTime - job.startTime;
+  
+  // The job may have been dropped by /cache/clear while it ran
+  if (preloadQueue.get(job.id) === job) {
+    savePreload(job);
+  }
+}
+
+// Wake runners waiting on a paused deck job
+function wakeDeckRunners(jobId) {
+  const runner = deckRunners.get(jobId);
+  if (runner) {
+    runner.waiting.splice(0).forEach(resolve => resolve());
+  }
+}
+
+// Public view of a deck job
+function describeDeckJob(job) {
+  return {
+    jobId: job.id,
+    type: job.type,
+    deckId: job.deckId,
+    hskLevel: job.hskLevel,
+    status: job.status,
+    progress: job.progress,
+    failures: job.failures,
+    language: job.language,
+    ...job.variant,
+    processingDuration: job.processingDuration,
+    error: job.error,
+    requestId: job.requestId,
+    createdBy: job.createdBy,
+    timestamp: job.timestamp
+  };
+}
+
+// Preload a whole deck: a word list or a bundled HSK level
+app.post('/decks/:deckId/preload', requireRole('client'), rateLimit('preload'), (req, res) => {
+  const startTime = clock.now();
+  
+  try {
+    const { deckId } = req.params;
+    const {
+      words,
+      hskLevel,
+      language = AUDIO_CONFIG.DEFAULT_LANGUAGE,
+      ttl,
+      speed,
+      voice,
+      gender,
+      convert = true
+    } = req.body;
+    
+    if (typeof convert !== 'boolean') {
+      return res.status(400).json({
+        error: 'Invalid convert',
+        details: 'convert must be true or false'
+      });
+    }
+    
+    if (!/^[\w-]{1,64}$/.test(deckId)) {
+      return res.status(400).json({
+        error: 'Invalid deck ID',
+        details: 'Deck IDs are 1-64 letters, digits, underscores or hyphens'
+      });
+    }
+    
+    if ((words === undefined) === (hskLevel === undefined)) {
+      return res.status(400).json({
+        error: 'Invalid input: provide either words or hskLevel'
+      });
+    }
+    
+    let deckWords = words;
+    
+    if (hskLevel !== undefined) {
+      const { words: levelWords, status, ...invalid } = findHskDeck(hskLevel);
+      if (!levelWords) {
+        return res.status(status).json(invalid);
+      }
+      
+      deckWords = levelWords;
+    }
+    
+    if (!Array.isArray(deckWords) || deckWords.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid input: words must be a non-empty array'
+      });
+    }
+    
+    if (deckWords.length > AUDIO_CONFIG.MAX_DECK_SIZE) {
+      return res.status(400).json({
+        error: `Too many words in deck (maximum ${AUDIO_CONFIG.MAX_DECK_SIZE})`
+      });
+    }
+    
+    for (const word of deckWords) {
+      if (!parseTextInput(word)) {
+        return res.status(400).json({
+          error: `Invalid Chinese text: "${word}"`,
+          details: `All words must contain Chinese characters (up to ${AUDIO_CONFIG.MAX_TEXT_LENGTH}) or pinyin (up to ${AUDIO_CONFIG.SEGMENT_LENGTH} characters)`
+        });
+      }
+    }
+    
+    if (!AUDIO_CONFIG.SUPPORTED_LANGUAGES.includes(language)) {
+      return res.status(400).json({
+        error: 'Unsupported language',
+        supportedLanguages: AUDIO_CONFIG.SUPPORTED_LANGUAGES
+      });
+    }
+    
+    const invalidTtl = validateTtl(ttl);
+    if (invalidTtl) {
+      return res.status(400).json(invalidTtl);
+    }
+    
+    const { variant, error, details } = parseVariant({ speed, voice, gender }, language);
+    
+    if (!variant) {
+      return res.status(400).json({ error, details });
+    }
+    
+    // Only one active job per deck
+    for (const job of preloadQueue.values()) {
+      if (job.type === 'deck' && job.deckId === deckId &&
+          (job.status === 'processing' || job.status === 'paused')) {
+        return res.status(409).json({
+          error: 'Deck already has an active preload job',
+          jobId: job.id,
+          statusUrl: `/jobs/${job.id}`
+        });
+      }
+    }
+    
+    const texts = Array.from(new Set(deckWords));
+    const jobId = crypto.randomUUID();
+    const job = {
+      id: jobId,
+      type: 'deck',
+      deckId,
+      hskLevel,
+      texts,
+      language,
+      ttl,
+      variant,
+      convert,
+      requestId: req.id,
+      createdBy: req.apiKey ? req.apiKey.name : null,
+      status: 'processing',
+      completed: [],
+      progress: { done: 0, total: texts.length, failed: 0 },
+      failures: [],
+      startTime: clock.now(),
+      timestamp: new Date(clock.now()).toISOString()
+    };
+    
+    savePreload(job);
+    startJob(job);
+    
+    const responseTime = clock.now() - startTime;
+    recordMetrics('/decks/preload', responseTime);
+    
+    res.json({
+      success: true,
+      jobId,
+      deckId,
+      status: job.status,
+      total: texts.length,
+      language,
+      responseTime: `${responseTime}ms`,
+      statusUrl: `/jobs/${jobId}`
+    });
+    
+  } catch (error) {
+    logger.error('Error starting deck preload', { error });
+    const responseTime = clock.now() - startTime;
+    
+    res.status(500).json({
+      error: 'Internal server error while starting deck preload',
+      responseTime: `${responseTime}ms`
+    });
+  }
+});
+
+// Get deck job progress
+app.get('/jobs/:jobId', requireRole('client'), (req, res) => {
+  const startTime = clock.now();
+  const job = preloadQueue.get(req.params.jobId);
+  
+  if (!job || job.type !== 'deck') {
+    return res.status(404).json({
+      error: 'Job not found',
+      jobId: req.params.jobId
+    });
+  }
+  
+  const responseTime = clock.now() - startTime;
+  recordMetrics('/jobs', responseTime);
+  
+  res.json({
+    success: true,
+    ...describeDeckJob(job),
+    responseTime: `${responseTime}ms`
+  });
+});
+
+// Pause, resume or cancel a deck job. from lists the states the action applies to.
+// With API keys configured, only the key that started the job or an admin key
+// may control it
+function controlDeckJob(action, from, to) {
+  return (req, res) => {
+    const startTime = clock.now();
+    const job = preloadQueue.get(req.params.jobId);
+    
+    if (!job || job.type !== 'deck') {
+      return res.status(404).json({
+        error: 'Job not found',
+        jobId: req.params.jobId
+      });
+    }
+    
+    if (req.apiKey && req.apiKey.role !== 'admin' && req.apiKey.name !== job.createdBy) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        details: `Only the API key that started the job or an admin key can ${action} it`
+      });
+    }
+    
+    if (!from.includes(job.status)) {
+      return res.status(409).json({
+        error: `Cannot ${action} a job that is ${job.status}`,
+        jobId: job.id,
+        status: job.status
+      });
+    }
+    
+    job.status = to;
+    
+    if (to === 'cancelled') {
+      job.completedTime = clock.now();
+      job.processingDuration = job.completedTime - job.startTime;
+    }
+    
+    // A paused job restored after a restart has no runners left to wake
+    if (to === 'processing' && !deckRunners.has(job.id)) {
+      startJob(job);
+    } else {
+      wakeDeckRunners(job.id);
+    }
+    
+    savePreload(job);
+    
+    const responseTime = clock.now() - startTime;
+    recordMetrics('/jobs', responseTime);
+    
+    res.json({
+      success: true,
+      ...describeDeckJob(job),
+      responseTime: `${responseTime}ms`
+    });
+  };
+}
+
+app.post('/jobs/:jobId/pause', requireRole('client'), controlDeckJob('pause', ['processing'], 'paused'));
+app.post('/jobs/:jobId/resume', requireRole('client'), controlDeckJob('resume', ['paused'], 'processing'));
+app.post('/jobs/:jobId/cancel', requireRole('client'), controlDeckJob('cancel', ['processing', 'paused'], 'cancelled'));
+
+// Build a ustar archive from [{ name, body }]
+function createTar(files) {
+  const blocks = [];
+  const mtime = Math.floor(clock.now() / 1000);
+  
+  for (const { name, body } of files) {
+    const header = Buffer.alloc(512);
+    header.write(name, 0, 100);
+    header.write('0000644\0', 100);
+    header.write('0000000\0', 108);
+    header.write('0000000\0', 116);
+    header.write(`${body.length.toString(8).padStart(11, '0')}\0`, 124);
+    header.write(`${mtime.toString(8).padStart(11, '0')}\0`, 136);
+    header.write('        ', 148);
+    header.write('0', 156);
+    header.write('ustar\0', 257);
+    header.write('00', 263);
+    
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+    
+    blocks.push(header, body, Buffer.alloc((512 - (body.length % 512)) % 512));
+  }
+  
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
+
+// Read the regular files of a tar archive into a Map of name -> bytes.
+// Throws if the archive is truncated or a header checksum does not match
+function readTar(buffer) {
+  const files = new Map();
+  const field = (header, start, length) =>
+    header.toString('utf8', start, start + length).replace(/\0[\s\S]*$/, '');
+  let offset = 0;
+  
+  while (offset + 512 <= buffer.length) {
+    const header = buffer.subarray(offset, offset + 512);
+    if (header.every(byte => byte === 0)) break;
+    
+    const checksum = parseInt(field(header, 148, 8).trim(), 8);
+    const actual = header.reduce((sum, byte, index) =>
+      sum + (index >= 148 && index < 156 ? 32 : byte), 0);
+    if (checksum !== actual) {
+      throw new Error('Invalid tar header checksum');
+    }
+    
+    const size = parseInt(field(header, 124, 12).trim(), 8);
+    const start = offset + 512;
+    if (Number.isNaN(size) || start + size > buffer.length) {
+      throw new Error('Truncated tar archive');
+    }
+    
+    const type = field(header, 156, 1);
+    if (type === '0' || type === '') {
+      const prefix = field(header, 345, 155);
+      const name = (prefix ? `${prefix}/` : '') + field(header, 0, 100);
+      files.set(name.replace(/^\.\//, ''), buffer.subarray(start, start + size));
+    }
+    
+    offset = start + Math.ceil(size / 512) * 512;
+  }
+  
+  return files;
+}
+
+// Check a variant read from a pack manifest without consulting any provider
+function isValidPackVariant(variant) {
+  return variant !== null && typeof variant === 'object' &&
+    (variant.speed in NAMED_SPEEDS || (typeof variant.speed === 'number' && variant.speed > 0)) &&
+    typeof variant.voice === 'string' &&
+    (variant.gender === null || typeof variant.gender === 'string');
+}
+
+// Export cached audio for a list of texts or an HSK level as a tar archive
+// holding the audio files plus manifest.json
+app.get('/packs/export', requireRole('client'), rateLimit('preload'), async (req, res) => {
+  const startTime = clock.now();
+  
+  try {
+    const { language = AUDIO_CONFIG.DEFAULT_LANGUAGE, texts, hskLevel } = req.query;
+    
+    if ((texts === undefined) === (hskLevel === undefined)) {
+      return res.status(400).json({
+        error: 'Invalid input: provide either texts or hskLevel'
+      });
+    }
+    
+    if (!AUDIO_CONFIG.SUPPORTED_LANGUAGES.includes(language)) {
+      return res.status(400).json({
+        error: 'Unsupported language',
+        supportedLanguages: AUDIO_CONFIG.SUPPORTED_LANGUAGES
+      });
+    }
+    
+    let packTexts;
+    
+    if (hskLevel !== undefined) {
+      const { words, status, ...invalid } = findHskDeck(Number(hskLevel));
+      if (!words) {
+        return res.status(status).json(invalid);
+      }
+      packTexts = words;
+    } else {
+      packTexts = [].concat(texts)
+        .flatMap(value => String(value).split(','))
+        .map(text => text.trim())
+        .filter(Boolean);
+    }
+    
+    if (packTexts.length === 0 || packTexts.length > AUDIO_CONFIG.MAX_DECK_SIZE) {
+      return res.status(400).json({
+        error: `Invalid input: a pack holds 1 to ${AUDIO_CONFIG.MAX_DECK_SIZE} texts`
+      });
+    }
+    
+    // Pack texts by the text their cache entries hold
+    const wanted = new Map();
+    for (const text of new Set(packTexts)) {
+      const input = parseTextInput(text, { language });
+      if (!input || input.ttsText.length > AUDIO_CONFIG.SEGMENT_LENGTH) {
+        return res.status(400).json({
+          error: `Invalid Chinese text: "${text}"`,
+          details: `Pack texts must be Chinese characters or pinyin, up to ${AUDIO_CONFIG.SEGMENT_LENGTH} characters`
+        });
+      }
+      wanted.set(input.ttsText, text);
+    }
+    
+    // Every cached variant and reading of each text is packed. Nothing is
+    // synthesized and no cache entries are created; texts without stored
+    // audio are listed in missing
+    const cached = [];
+    for (const [cacheKey, entry] of audioCache) {
+      if (entry.language === language && !entry.segments && wanted.has(entry.text) && !isExpired(entry)) {
+        cached.push({ cacheKey, entry });
+      }
+    }
+    
+    const entries = [];
+    const files = [];
+    const exportedTexts = new Set();
+    
+    await runWithConcurrency(cached, AUDIO_CONFIG.PRELOAD_CONCURRENCY, async ({ cacheKey, entry }) => {
+      let audio;
+      try {
+        audio = await loadAudio(cacheKey, { cachedOnly: true });
+      } catch (error) {
+        if (error.code !== 'ENOTCACHED') throw error;
+        return;
+      }
+      const file = `audio/${cacheKey}.${extensionFor(audio.contentType)}`;
+      
+      exportedTexts.add(entry.text);
+      files.push({ name: file, body: audio.body });
+      entries.push({
+        text: entry.text,
+        language,
+        variant: entry.variant || DEFAULT_VARIANT,
+        reading: entry.reading || undefined,
+        cacheKey,
+        file,
+        contentType: audio.contentType,
+        bytes: audio.body.length,
+        sha256: audio.contentHash,
+        provider: audio.provider
+      });
+    });
+    
+    const missing = Array.from(wanted)
+      .filter(([ttsText]) => !exportedTexts.has(ttsText))
+      .map(([, text]) => ({ text, error: 'Audio is not cached' }));
+    
+    if (entries.length === 0) {
+      return res.status(404).json({
+        error: 'None of the texts have cached audio',
+        missing
+      });
+    }
+    
+    const manifest = {
+      version: 1,
+      createdAt: new Date(clock.now()).toISOString(),
       language,
-      timestamp: new Date().toISOString()
+      entries,
+      missing
+    };
+    const archive = createTar([
+      { name: 'manifest.json', body: Buffer.from(JSON.stringify(manifest, null, 2)) },
+      ...files
+    ]);
+    
+    const responseTime = clock.now() - startTime;
+    recordMetrics('/packs/export', responseTime);
+    
+    res.setHeader('Content-Type', 'application/x-tar');
+    res.setHeader('Content-Disposition', `attachment; filename="audio-pack-${language}.tar"`);
+    res.setHeader('Content-Length', archive.length);
+    res.end(archive);
+    
+  } catch (error) {
+    logger.error('Error exporting pack', { error });
+    const responseTime = clock.now() - startTime;
+    
+    res.status(500).json({
+      error: 'Internal server error while exporting pack',
+      responseTime: `${responseTime}ms`
     });
+  }
+});
+
+// Import a pack produced by /packs/export into the audio cache without
+// contacting any TTS provider
+app.post('/packs/import', requireRole('admin'), (req, res, next) => {
+  // Built per request so the limit follows the loaded configuration
+  express.raw({
+    type: ['application/x-tar', 'application/octet-stream'],
+    limit: AUDIO_CONFIG.MAX_PACK_BYTES
+  })(req, res, next);
+}, async (req, res) => {
+  const startTime = clock.now();
+  
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid input: send the pack as an application/x-tar body'
+      });
+    }
+    
+    let files;
+    let manifest;
+    try {
+      files = readTar(req.body);
+      manifest = JSON.parse(files.get('manifest.json').toString('utf8'));
+      if (!Array.isArray(manifest.entries)) {
+        throw new Error('manifest.json has no entries');
+      }
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid pack',
+        details: files && !files.has('manifest.json') ? 'manifest.json is missing' : error.message
+      });
+    }
+    
+    const imported = [];
+    const skipped = [];
+    
+    for (const item of manifest.entries) {
+      const input = item && typeof item.text === 'string' ? parseTextInput(item.text, { language: item.language }) : null;
+      const variant = item && item.variant !== undefined ? item.variant : DEFAULT_VARIANT;
+      const body = item && files.get(item.file);
+      // Entries without a reading were synthesized from the bare text
+      const chosen = input && item.reading !== undefined ? chooseReading(input, item.reading) : { reading: null };
+      let reason = null;
+      
+      if (!input || input.ttsText.length > AUDIO_CONFIG.SEGMENT_LENGTH) {
+        reason = 'Invalid text';
+      } else if (chosen.error) {
+        reason = 'Invalid reading';
+      } else if (!AUDIO_CONFIG.SUPPORTED_LANGUAGES.includes(item.language)) {
+        reason = 'Unsupported language';
+      } else if (!isValidPackVariant(variant)) {
+        reason = 'Invalid variant';
+      } else if (!body) {
+        reason = 'Audio file missing from pack';
+      } else if (item.sha256 && hashContent(body) !== item.sha256) {
+        reason = 'Audio file does not match its sha256';
+      }
+      
+      if (reason) {
+        skipped.push({ text: item && item.text, file: item && item.file, reason });
+        continue;
+      }
+      
+      // Keys are recomputed rather than trusted from the manifest
+      const reading = entryReading(chosen.reading);
+      const cacheKey = generateCacheKey(input.ttsText, item.language, variant, reading);
+      const contentType = contentTypeFor(path.extname(item.file).slice(1));
+      const contentHash = await writeAudioToDisk(body, contentType);
+      
+      const entry = audioCache.get(cacheKey) || {
+        audioUrl: null,
+        text: input.ttsText,
+        language: item.language,
+        variant,
+        reading,
+        provider: typeof item.provider === 'string' ? item.provider : null,
+        pinned: false,
+        expiresAt: AUDIO_CONFIG.CACHE_TTL_MS ? clock.now() + AUDIO_CONFIG.CACHE_TTL_MS : null,
+        timestamp: new Date(clock.now()).toISOString()
+      };
+      entry.contentHash = contentHash;
+      setCacheEntry(cacheKey, entry);
+      
+      imported.push({ text: input.ttsText, language: item.language, audioUrl: `/play/${cacheKey}` });
+    }
     
-    const responseTime = Date.now() - startTime;
-    recordMetrics('/audio', responseTime);
+    const responseTime = clock.now() - startTime;
+    recordMetrics('/packs/import', responseTime);
     
     res.json({
       success: true,
-      text,
-      language,
-      audioUrl: `/play/${cacheKey}`,
-      cached: false,
+      imported: imported.length,
+      skipped,
+      entries: imported,
       responseTime: `${responseTime}ms`
     });
     
   } catch (error) {
-    console.error('Error generating audio URL:', error);
-    const responseTime = Date.now() - startTime;
+    logger.error('Error importing pack', { error });
+    const responseTime = clock.now() - startTime;
     
     res.status(500).json({
-      error: 'Internal server error while generating audio',
+      error: 'Internal server error while importing pack',
       responseTime: `${responseTime}ms`
     });
   }
 });
 
-// Proxy endpoint to serve audio files (fixes CORS issues)
-app.get('/play/:cacheKey', (req, res) => {
-  const { cacheKey } = req.params;
-  
-  if (!audioCache.has(cacheKey)) {
-    return res.status(404).json({
-      error: 'Audio not found',
-      details: 'The requested audio has not been cached or has expired'
-    });
-  }
-  
-  const cachedData = audioCache.get(cacheKey);
-  const audioUrl = cachedData.audioUrl;
-  
-  console.log(`Proxying audio for ${cachedData.text}: ${audioUrl}`);
-  
-  const request = https.get(audioUrl, (audioResponse) => {
-    res.setHeader('Content-Type', 'audio/mpeg');
-    res.setHeader('Cache-Control', 'public, max-age=3600');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    
-    audioResponse.pipe(res);
-  });
-  
-  request.on('error', (error) => {
-    console.error('Error proxying audio:', error);
-    res.status(500).json({
-      error: 'Failed to retrieve audio',
-      details: error.message
-    });
-  });
-  
-  request.setTimeout(10000, () => {
-    request.destroy();
-    res.status(504).json({
-      error: 'Audio request timed out'
-    });
-  });
-});
-
-// Preload audio for next card 
-app.post('/preload', (req, res) => {
-  const startTime = Date.now();
+// Upload a recording that replaces synthesized audio for a text. The body is
+// the raw MP3, OGG or WAV file
+app.put('/overrides/:language/:text', requireRole('admin'), (req, res, next) => {
+  // Built per request so the limit follows the loaded configuration
+  express.raw({
+    type: Object.keys(OVERRIDE_CONTENT_TYPES),
+    limit: AUDIO_CONFIG.MAX_OVERRIDE_BYTES
+  })(req, res, next);
+}, async (req, res) => {
+  const startTime = clock.now();
   
   try {
-    const { texts, language = AUDIO_CONFIG.DEFAULT_LANGUAGE } = req.body;
+    const { language, text } = req.params;
     
-    if (!Array.isArray(texts) || texts.length === 0) {
+    if (!AUDIO_CONFIG.SUPPORTED_LANGUAGES.includes(language)) {
       return res.status(400).json({
-        error: 'Invalid input: texts must be a non-empty array'
+        error: 'Unsupported language',
+        supportedLanguages: AUDIO_CONFIG.SUPPORTED_LANGUAGES
       });
     }
     
-    if (texts.length > 10) {
+    const input = parseTextInput(text, { language });
+    
+    if (!input || input.ttsText.length > AUDIO_CONFIG.SEGMENT_LENGTH) {
       return res.status(400).json({
-        error: 'Too many texts to preload (maximum 10)'
+        error: 'Invalid Chinese text provided',
+        details: `Text must be Chinese characters or pinyin, up to ${AUDIO_CONFIG.SEGMENT_LENGTH} characters`
       });
     }
     
-    for (const text of texts) {
-      if (!isValidChineseText(text)) {
-        return res.status(400).json({
-          error: `Invalid Chinese text: "${text}"`,
-          details: 'All texts must contain Chinese characters and be less than 100 characters'
-        });
-      }
+    const contentType = OVERRIDE_CONTENT_TYPES[(req.get('Content-Type') || '').split(';')[0].trim().toLowerCase()];
+    
+    if (!contentType) {
+      return res.status(415).json({
+        error: 'Unsupported recording format',
+        supportedTypes: Object.keys(OVERRIDE_CONTENT_TYPES)
+      });
     }
     
-    if (!AUDIO_CONFIG.SUPPORTED_LANGUAGES.includes(language)) {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
       return res.status(400).json({
-        error: 'Unsupported language',
-        supportedLanguages: AUDIO_CONFIG.SUPPORTED_LANGUAGES
+        error: 'Invalid input: send the recording as the request body'
       });
     }
     
-    const preloadId = crypto.randomUUID();
-    const preloadData = {
-      id: preloadId,
-      texts,
+    if (!matchesAudioFormat(req.body, contentType)) {
+      return res.status(400).json({
+        error: 'Invalid recording',
+        details: `The body is not ${contentType} audio`
+      });
+    }
+    
+    const sha256 = hashContent(req.body);
+    const file = `${sha256}.${extensionFor(contentType)}`;
+    const filePath = path.join(AUDIO_CONFIG.OVERRIDES_DIR, file);
+    
+    // Concurrent uploads of the same bytes each write their own temp file
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    await fs.mkdir(AUDIO_CONFIG.OVERRIDES_DIR, { recursive: true });
+    await fs.writeFile(tempPath, req.body);
+    await fs.rename(tempPath, filePath);
+    
+    const key = overrideKey(input.ttsText, language);
+    const previous = overrides.get(key);
+    const override = {
+      text: input.ttsText,
       language,
-      status: 'processing',
-      results: [],
-      startTime: Date.now(),
-      timestamp: new Date().toISOString()
+      file,
+      sha256,
+      contentType,
+      bytes: req.body.length,
+      uploadedBy: req.apiKey ? req.apiKey.name : null,
+      uploadedAt: new Date(clock.now()).toISOString()
     };
     
-    preloadQueue.set(preloadId, preloadData);
+    overrides.set(key, override);
+    await writeOverrideIndex();
+    if (previous && previous.file !== file) {
+      await removeOverrideFile(previous.file);
+    }
     
-    setImmediate(async () => {
-      try {
-        const results = [];
-        
-        for (const text of texts) {
-          const cacheKey = generateCacheKey(text, language);
-          
-          let audioUrl;
-          let cached = false;
-          
-          if (audioCache.has(cacheKey)) {
-            audioUrl = `/play/${cacheKey}`;
-            cached = true;
-          } else {
-            const externalUrl = generateAudioUrl(text, language);
-            
-            cleanCache();
-            audioCache.set(cacheKey, {
-              audioUrl: externalUrl,
-              text,
-              language,
-              timestamp: new Date().toISOString()
-            });
-            
-            audioUrl = `/play/${cacheKey}`;
-          }
-          
-          results.push({
-            text,
-            audioUrl,
-            cached
-          });
-        }
-        
-        preloadData.status = 'completed';
-        preloadData.results = results;
-        preloadData.completedTime = Date.now();
-        preloadData.processingDuration = preloadData.completedTime - preloadData.startTime;
-        
-      } catch (error) {
-        console.error('Error during preloading:', error);
-        preloadData.status = 'failed';
-        preloadData.error = error.message;
-      }
-    });
+    logger.info(previous ? 'Override replaced' : 'Override added', { text: override.text, language });
     
-    const responseTime = Date.now() - startTime;
-    recordMetrics('/preload', responseTime);
+    const responseTime = clock.now() - startTime;
+    recordMetrics('/overrides', responseTime);
     
-    res.json({
+    res.status(previous ? 200 : 201).json({
       success: true,
-      preloadId,
-      status: 'processing',
-      textsCount: texts.length,
-      language,
-      responseTime: `${responseTime}ms`,
-      statusUrl: `/preload/${preloadId}`
+      ...describeOverride(override),
+      replaced: Boolean(previous),
+      responseTime: `${responseTime}ms`
     });
     
   } catch (error) {
-    console.error('Error initiating preload:', error);
-    const responseTime = Date.now() - startTime;
+    logger.error('Error saving override', { error });
+    const responseTime = clock.now() - startTime;
     
     res.status(500).json({
-      error: 'Internal server error while initiating preload',
+      error: 'Internal server error while saving override',
       responseTime: `${responseTime}ms`
     });
   }
 });
 
-// Get preload status
-app.get('/preload/:preloadId', (req, res) => {
-  const startTime = Date.now();
+// List recording overrides, optionally for one language
+app.get('/overrides', requireRole('client'), (req, res) => {
+  const startTime = clock.now();
+  const { language } = req.query;
+  
+  const list = Array.from(overrides.values())
+    .filter(override => !language || override.language === language)
+    .map(describeOverride);
+  
+  const responseTime = clock.now() - startTime;
+  recordMetrics('/overrides', responseTime);
+  
+  res.json({
+    success: true,
+    count: list.length,
+    overrides: list,
+    responseTime: `${responseTime}ms`
+  });
+});
+
+// Find the override for a :language/:text route, or send a 404
+function findOverrideForRequest(req, res) {
+  const { language, text } = req.params;
+  const input = parseTextInput(text, { language });
+  const key = input ? overrideKey(input.ttsText, language) : null;
+  
+  if (!key || !overrides.has(key)) {
+    res.status(404).json({
+      error: 'Override not found',
+      details: `No recording is stored for "${text}" (${language})`
+    });
+    return null;
+  }
+  
+  return key;
+}
+
+// Download an override recording
+app.get('/overrides/:language/:text', requireRole('client', { allowQueryKey: true }), async (req, res) => {
+  const key = findOverrideForRequest(req, res);
+  if (!key) return;
+  
+  const override = overrides.get(key);
   
   try {
-    const { preloadId } = req.params;
+    const body = await fs.readFile(path.join(AUDIO_CONFIG.OVERRIDES_DIR, override.file));
     
-    if (!preloadQueue.has(preloadId)) {
-      return res.status(404).json({
-        error: 'Preload request not found',
-        preloadId
-      });
-    }
+    res.setHeader('Content-Type', override.contentType);
+    res.setHeader('Content-Length', body.length);
+    res.setHeader('ETag', `"${override.sha256}"`);
+    res.setHeader('X-Audio-Source', 'override');
+    res.end(body);
     
-    const preloadData = preloadQueue.get(preloadId);
-    const responseTime = Date.now() - startTime;
+  } catch (error) {
+    logger.error('Error reading override', { error: error.message });
     
-    if (preloadData.status === 'completed' || preloadData.status === 'failed') {
-      const age = Date.now() - preloadData.startTime;
-      if (age > 300000) {
-        preloadQueue.delete(preloadId);
-      }
-    }
+    res.status(500).json({
+      error: 'Failed to read override recording',
+      details: error.message
+    });
+  }
+});
+
+// Delete an override so the text goes back to synthesized audio
+app.delete('/overrides/:language/:text', requireRole('admin'), async (req, res) => {
+  const startTime = clock.now();
+  
+  try {
+    const key = findOverrideForRequest(req, res);
+    if (!key) return;
+    
+    const override = overrides.get(key);
+    overrides.delete(key);
+    await writeOverrideIndex();
+    await removeOverrideFile(override.file);
+    
+    logger.info('Override deleted', { text: override.text, language: override.language });
+    
+    const responseTime = clock.now() - startTime;
+    recordMetrics('/overrides', responseTime);
     
     res.json({
       success: true,
-      preloadId,
-      status: preloadData.status,
-      results: preloadData.results || [],
-      textsCount: preloadData.texts.length,
-      language: preloadData.language,
-      processingDuration: preloadData.processingDuration,
-      timestamp: preloadData.timestamp,
+      deleted: describeOverride(override),
       responseTime: `${responseTime}ms`
     });
     
   } catch (error) {
-    console.error('Error getting preload status:', error);
-    const responseTime = Date.now() - startTime;
+    logger.error('Error deleting override', { error });
+    const responseTime = clock.now() - startTime;
     
     res.status(500).json({
-      error: 'Internal server error while getting preload status',
+      error: 'Internal server error while deleting override',
       responseTime: `${responseTime}ms`
     });
   }
 });
 
 // Get cache statistics
-app.get('/cache/stats', (req, res) => {
-  const startTime = Date.now();
+app.get('/cache/stats', requireRole('admin'), (req, res) => {
+  const startTime = clock.now();
   
   try {
     const cacheEntries = Array.from(audioCache.values());
@@ -403,7 +4414,9 @@ app.get('/cache/stats', (req, res) => {
       languageStats[entry.language]++;
     });
     
-    const responseTime = Date.now() - startTime;
+    const lookups = cacheStats.hits + cacheStats.misses;
+    
+    const responseTime = clock.now() - startTime;
     
     res.json({
       success: true,
@@ -411,7 +4424,23 @@ app.get('/cache/stats', (req, res) => {
         size: audioCache.size,
         maxSize: AUDIO_CONFIG.MAX_CACHE_SIZE,
         utilization: Math.round((audioCache.size / AUDIO_CONFIG.MAX_CACHE_SIZE) * 100),
-        languageBreakdown: languageStats
+        languageBreakdown: languageStats,
+        pinned: cacheEntries.filter(entry => entry.pinned).length,
+        hits: cacheStats.hits,
+        misses: cacheStats.misses,
+        hitRate: lookups > 0 ? Math.round((cacheStats.hits / lookups) * 100) : 0,
+        evictions: cacheStats.evictions,
+        expirations: cacheStats.expirations
+      },
+      disk: {
+        files: diskIndex.size,
+        bytes: diskStats.totalBytes,
+        maxBytes: AUDIO_CONFIG.DISK_CACHE_MAX_BYTES,
+        utilization: Math.round((diskStats.totalBytes / AUDIO_CONFIG.DISK_CACHE_MAX_BYTES) * 100),
+        hits: diskStats.hits,
+        misses: diskStats.misses,
+        evictions: diskStats.evictions,
+        integrityFailures: diskStats.integrityFailures
       },
       preloadQueue: {
         active: preloadQueue.size
@@ -420,8 +4449,8 @@ app.get('/cache/stats', (req, res) => {
     });
     
   } catch (error) {
-    console.error('Error getting cache stats:', error);
-    const responseTime = Date.now() - startTime;
+    logger.error('Error getting cache stats', { error });
+    const responseTime = clock.now() - startTime;
     
     res.status(500).json({
       error: 'Internal server error while getting cache stats',
@@ -430,27 +4459,91 @@ app.get('/cache/stats', (req, res) => {
   }
 });
 
+// Pin or unpin a cache entry so it is never evicted or expired (admin endpoint)
+function setPinned(pinned) {
+  return (req, res) => {
+    const startTime = clock.now();
+    
+    try {
+      const { cacheKey } = req.params;
+      const entry = audioCache.get(cacheKey);
+      
+      if (!entry) {
+        return res.status(404).json({
+          error: 'Cache entry not found',
+          cacheKey
+        });
+      }
+      
+      entry.pinned = pinned;
+      setCacheEntry(cacheKey, entry);
+      
+      const responseTime = clock.now() - startTime;
+      
+      res.json({
+        success: true,
+        cacheKey,
+        text: entry.text,
+        pinned,
+        responseTime: `${responseTime}ms`
+      });
+      
+    } catch (error) {
+      logger.error('Error updating pin', { error });
+      const responseTime = clock.now() - startTime;
+      
+      res.status(500).json({
+        error: 'Internal server error while updating pin',
+        responseTime: `${responseTime}ms`
+      });
+    }
+  };
+}
+
+app.post('/cache/:cacheKey/pin', requireRole('admin'), setPinned(true));
+app.delete('/cache/:cacheKey/pin', requireRole('admin'), setPinned(false));
+
 // Clear cache (admin endpoint)
-app.post('/cache/clear', (req, res) => {
-  const startTime = Date.now();
+app.post('/cache/clear', requireRole('admin'), async (req, res) => {
+  const startTime = clock.now();
   
   try {
     const previousSize = audioCache.size;
+    const previousDiskFiles = diskIndex.size;
+    
+    // Running preloads and deck jobs are dropped with the queue; cancel them
+    // so their runners stop instead of refilling the cache
+    for (const job of preloadQueue.values()) {
+      if (job.status === 'processing' || job.status === 'paused') {
+        job.status = 'cancelled';
+        job.completedTime = clock.now();
+        job.processingDuration = job.completedTime - job.startTime;
+        wakeDeckRunners(job.id);
+      }
+    }
+    
     audioCache.clear();
     preloadQueue.clear();
+    journal('audio', 'clear');
+    journal('preload', 'clear');
     
-    const responseTime = Date.now() - startTime;
+    for (const hash of Array.from(diskIndex.keys())) {
+      await removeFromDisk(hash);
+    }
+    
+    const responseTime = clock.now() - startTime;
     
     res.json({
       success: true,
       message: 'Cache cleared successfully',
       previousCacheSize: previousSize,
+      previousDiskFiles,
       responseTime: `${responseTime}ms`
     });
     
   } catch (error) {
-    console.error('Error clearing cache:', error);
-    const responseTime = Date.now() - startTime;
+    logger.error('Error clearing cache', { error });
+    const responseTime = clock.now() - startTime;
     
     res.status(500).json({
       error: 'Internal server error while clearing cache',
@@ -459,12 +4552,114 @@ app.post('/cache/clear', (req, res) => {
   }
 });
 
+// Effective configuration with the source of each value (admin endpoint)
+app.get('/config', requireRole('admin'), (req, res) => {
+  const values = {};
+  
+  for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+    values[key] = {
+      value: rule.secret && AUDIO_CONFIG[key] ? '[redacted]' : AUDIO_CONFIG[key],
+      source: configSources[key],
+      reloadable: Boolean(rule.reloadable)
+    };
+  }
+  
+  res.json({
+    success: true,
+    file: configFile,
+    values
+  });
+});
+
+// Reload configuration from the config file and environment (admin endpoint)
+app.post('/config/reload', requireRole('admin'), (req, res) => {
+  const result = reloadConfigAndLog('admin endpoint');
+  
+  if (result.errors) {
+    return res.status(400).json({
+      error: 'Invalid configuration, nothing was changed',
+      details: result.errors
+    });
+  }
+  
+  res.json({
+    success: true,
+    changed: result.changed,
+    requiresRestart: result.requiresRestart
+  });
+});
+
+// Current rate limit usage per client (admin endpoint)
+app.get('/rate-limits', requireRole('admin'), (req, res) => {
+  const now = clock.now();
+  const clients = {};
+  
+  for (const bucket of rateBuckets.values()) {
+    if (req.query.client && bucket.client !== req.query.client) continue;
+    
+    const { capacity, refillPerSecond } = AUDIO_CONFIG.RATE_LIMITS[bucket.name];
+    const tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+    
+    clients[bucket.client] = clients[bucket.client] || {};
+    clients[bucket.client][bucket.name] = {
+      remaining: Math.floor(tokens),
+      capacity,
+      allowed: bucket.allowed,
+      limited: bucket.limited,
+      lastUsed: new Date(bucket.updatedAt).toISOString()
+    };
+  }
+  
+  res.json({
+    success: true,
+    enabled: AUDIO_CONFIG.RATE_LIMIT_ENABLED,
+    limits: AUDIO_CONFIG.RATE_LIMITS,
+    you: rateLimitClient(req),
+    clients
+  });
+});
+
+// Reset a client's buckets (admin endpoint)
+app.delete('/rate-limits/:client', requireRole('admin'), (req, res) => {
+  let removed = 0;
+  
+  for (const [bucketKey, bucket] of rateBuckets) {
+    if (bucket.client === req.params.client) {
+      rateBuckets.delete(bucketKey);
+      removed++;
+    }
+  }
+  
+  res.json({
+    success: true,
+    client: req.params.client,
+    bucketsReset: removed
+  });
+});
+
+// Recent admin actions (admin endpoint)
+app.get('/audit', requireRole('admin'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, AUDIO_CONFIG.AUDIT_LOG_SIZE);
+  
+  res.json({
+    success: true,
+    entries: auditLog.slice(-limit)
+  });
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: 'Request body too large',
+      limit: err.limit
+    });
+  }
+  
+  logger.error('Unhandled error', { error: err });
   res.status(500).json({
     error: 'Internal server error',
-    timestamp: new Date().toISOString()
+    timestamp: new Date(clock.now()).toISOString()
   });
 });
 
@@ -474,35 +4669,282 @@ app.use('*', (req, res) => {
     error: 'Endpoint not found',
     availableEndpoints: [
       'GET /health',
+      'GET /metrics',
       'POST /audio',
+      'POST /audio/batch',
+      'POST /audio/breakdown',
+      'GET /voices',
       'GET /play/:cacheKey',
+      'GET /play/:cacheKey/manifest',
       'POST /preload',
       'GET /preload/:preloadId',
+      'GET /preload/:preloadId/events',
+      'POST /decks/:deckId/preload',
+      'GET /jobs/:jobId',
+      'POST /jobs/:jobId/pause',
+      'POST /jobs/:jobId/resume',
+      'POST /jobs/:jobId/cancel',
+      'GET /packs/export',
+      'POST /packs/import',
+      'GET /overrides',
+      'PUT /overrides/:language/:text',
+      'GET /overrides/:language/:text',
+      'DELETE /overrides/:language/:text',
       'GET /cache/stats',
-      'POST /cache/clear'
+      'POST /cache/:cacheKey/pin',
+      'DELETE /cache/:cacheKey/pin',
+      'POST /cache/clear',
+      'GET /config',
+      'POST /config/reload',
+      'GET /rate-limits',
+      'DELETE /rate-limits/:client',
+      'GET /audit'
     ]
   });
 });
 
-// Cleanup old preload requests periodically
-setInterval(() => {
-  const now = Date.now();
+// Cleanup old preload requests, expired cache entries and idle rate limit buckets
+function runCleanup() {
+  purgeExpiredEntries();
+  purgeIdleBuckets();
+  
+  const now = clock.now();
   const cutoff = 300000;
   
   for (const [id, data] of preloadQueue) {
-    if (now - data.startTime > cutoff) {
-      preloadQueue.delete(id);
+    // Deck jobs can run for a long time; keep them until they finish
+    if (data.status === 'processing' || data.status === 'paused') continue;
+    
+    if (now - (data.completedTime || data.startTime) > cutoff) {
+      deletePreload(id);
     }
   }
-}, 60000);
+}
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Pronunciation Audio Service running on port ${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
-  console.log(`Audio endpoint: http://localhost:${PORT}/audio`);
-  console.log(`Audio proxy: http://localhost:${PORT}/play/:cacheKey`);
-  console.log(`Preload endpoint: http://localhost:${PORT}/preload`);
-});
+// Reload configuration on SIGHUP instead of exiting
+function onSighup() {
+  reloadConfigAndLog('SIGHUP');
+}
+
+// Service state lives at module level, so only one service can exist per
+// process: currentService from creation until stop(), runningService while started
+let currentService = null;
+let runningService = null;
+
+// Clear all state left by a previous service in this process
+function resetState(store) {
+  audioCache = store;
+  preloadQueue = new Map();
+  requestMetrics = new Map();
+  histograms.clear();
+  diskIndex.clear();
+  overrides.clear();
+  rateBuckets.clear();
+  deckRunners.clear();
+  activeJobs.clear();
+  draining = false;
+  auditLog.length = 0;
+  Object.assign(cacheStats, { hits: 0, misses: 0, evictions: 0, expirations: 0 });
+  Object.assign(diskStats, { totalBytes: 0, hits: 0, misses: 0, evictions: 0, integrityFailures: 0 });
+  for (const stats of providerStats.values()) {
+    Object.assign(stats, { success: 0, failure: 0, lastError: null });
+  }
+  for (const breaker of circuitBreakers.values()) {
+    Object.assign(breaker, { state: 'closed', failures: 0, openedAt: null, trial: false, rejected: 0 });
+  }
+  inflightFetches.clear();
+  staleAudio.clear();
+  Object.assign(upstreamStats, { coalesced: 0, staleServed: 0 });
+}
+
+// Create the audio service without starting it. Options:
+//   config  settings applied over the config file and environment
+//   port    port for start() to listen on (default PORT); null skips listening,
+//           for mounting app inside another server
+//   fetch   (url, timeout, signal) => Promise<{ body, contentType }>, used by the
+//           google and http providers instead of real HTTP requests
+//   store   Map-compatible store for audio cache entries
+//   clock   { now() } in milliseconds, used for TTLs, rate limits and timestamps
+//   logger  { debug, info, warn, error }, each called with a structured log
+//           record instead of writing JSON lines to stdout/stderr
+// Returns { app, start, stop, reloadConfig }. Throws on invalid configuration
+function createAudioService(options = {}) {
+  // Creating another service would swap the fetch, clock and state of this one
+  if (currentService) {
+    throw new Error('An audio service already exists in this process; stop it first');
+  }
+  
+  upstreamFetch = options.fetch || fetchUrl;
+  clock = options.clock || { now: () => Date.now() };
+  logSink = options.logger || null;
+  configOverrides = options.config || {};
+  
+  const loaded = loadConfig();
+  if (loaded.errors.length > 0) {
+    const error = new Error(`Invalid configuration:\n  ${loaded.errors.join('\n  ')}`);
+    error.errors = loaded.errors;
+    throw error;
+  }
+  
+  Object.assign(AUDIO_CONFIG, loaded.config);
+  configSources = loaded.sources;
+  configFile = loaded.file;
+  resetState(options.store || new Map());
+  
+  const port = options.port === undefined ? PORT : options.port;
+  const timers = [];
+  const sockets = new Set();
+  let server = null;
+  
+  // Load API keys, restore state, load the disk cache and override indexes,
+  // start the timers and listen. Resolves with the http.Server, or null when
+  // port is null
+  async function start() {
+    if (runningService || (currentService && currentService !== service)) {
+      throw new Error('An audio service is already running in this process');
+    }
+    currentService = service;
+    
+    try {
+      await loadApiKeys();
+    } catch (error) {
+      throw new Error(`Error loading API keys: ${error.message}`);
+    }
+    runningService = service;
+    
+    if (apiKeys.size === 0) {
+      logger.warn('Authentication disabled: no API keys configured (set API_KEYS or API_KEYS_FILE)');
+    }
+    
+    try {
+      await restoreState();
+    } catch (error) {
+      logger.error('Error restoring state', { error: error.message });
+    }
+    
+    try {
+      await initDiskCache();
+    } catch (error) {
+      logger.error('Error loading disk cache', { error: error.message });
+    }
+    
+    try {
+      await loadOverrides();
+    } catch (error) {
+      logger.error('Error loading overrides', { error: error.message });
+    }
+    
+    resumeJobs();
+    
+    timers.push(setInterval(runCleanup, 60000));
+    // Snapshot state periodically so the journal stays short
+    timers.push(setInterval(() => writeSnapshot(), AUDIO_CONFIG.SNAPSHOT_INTERVAL));
+    process.on('SIGHUP', onSighup);
+    
+    if (port === null) return null;
+    
+    server = http.createServer(app);
+    server.on('connection', (socket) => {
+      sockets.add(socket);
+      socket.on('close', () => sockets.delete(socket));
+    });
+    
+    try {
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, resolve);
+      });
+    } catch (error) {
+      await stop();
+      throw error;
+    }
+    
+    const boundPort = server.address().port;
+    logger.info('Pronunciation Audio Service running', {
+      port: boundPort,
+      health: `http://localhost:${boundPort}/health`,
+      audio: `http://localhost:${boundPort}/audio`,
+      play: `http://localhost:${boundPort}/play/:cacheKey`,
+      preload: `http://localhost:${boundPort}/preload`
+    });
+    
+    return server;
+  }
+  
+  // Stop the timers and stop accepting connections, and stop background jobs
+  // from taking new items. In-flight requests and job items get up to
+  // drainTimeout ms (default SHUTDOWN_TIMEOUT) to finish, then state, the
+  // audit log and the override index are flushed to disk. Unfinished jobs
+  // resume on the next start. A service that never started is just released
+  async function stop({ drainTimeout = AUDIO_CONFIG.SHUTDOWN_TIMEOUT } = {}) {
+    if (currentService !== service) return;
+    if (runningService !== service) {
+      currentService = null;
+      return;
+    }
+    
+    timers.splice(0).forEach(clearInterval);
+    process.off('SIGHUP', onSighup);
+    draining = true;
+    deckRunners.forEach((runner, jobId) => wakeDeckRunners(jobId));
+    
+    let deadlineTimer;
+    const deadline = new Promise(resolve => { deadlineTimer = setTimeout(resolve, drainTimeout); });
+    const jobsDone = Promise.race([Promise.all(activeJobs), deadline]);
+    
+    if (server && server.listening) {
+      const closed = new Promise(resolve => server.close(resolve));
+      
+      // Event streams never end on their own; clients reconnect with Last-Event-ID
+      eventStreams.forEach(res => res.end());
+      if (server.closeIdleConnections) {
+        server.closeIdleConnections();
+      }
+      
+      deadline.then(() => sockets.forEach(socket => socket.destroy()));
+      await closed;
+    }
+    
+    await jobsDone;
+    clearTimeout(deadlineTimer);
+    
+    await writeSnapshot();
+    await auditWrites;
+    await overrideWrites;
+    runningService = null;
+    currentService = null;
+  }
+  
+  const service = { app, start, stop, reloadConfig };
+  currentService = service;
+  return service;
+}
+
+// Command-line entry point: node server.js
+if (require.main === module) {
+  try {
+    const service = createAudioService();
+    service.start().catch((error) => {
+      logger.error(error.message);
+      process.exit(1);
+    });
+    
+    // Drain and flush on SIGTERM or SIGINT, then exit. The handlers run once,
+    // so a second signal exits immediately
+    const shutdown = (signal) => {
+      logger.info('Shutting down', { signal, drainTimeout: AUDIO_CONFIG.SHUTDOWN_TIMEOUT });
+      service.stop().then(() => process.exit(0), (error) => {
+        logger.error('Error during shutdown', { error });
+        process.exit(1);
+      });
+    };
+    process.once('SIGTERM', shutdown);
+    process.once('SIGINT', shutdown);
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
+module.exports.createAudioService = createAudioService;
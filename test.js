@@ -1,9 +1,17 @@
+const crypto = require('crypto');
 const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 const BASE_URL = 'http://localhost:3002';
 
+// Admin key for a server started with API_KEYS; role checks run in-process in Test 20
+const TEST_ADMIN_KEY = process.env.TEST_ADMIN_KEY;
+const AUTH_HEADERS = TEST_ADMIN_KEY ? { 'Authorization': `Bearer ${TEST_ADMIN_KEY}` } : {};
+
 // Helper function to make HTTP requests
-function makeRequest(method, path, data = null) {
+function makeRequest(method, path, data = null, headers = AUTH_HEADERS) {
   return new Promise((resolve, reject) => {
     const options = {
       hostname: 'localhost',
@@ -12,6 +20,7 @@ function makeRequest(method, path, data = null) {
       method: method,
       headers: {
         'Content-Type': 'application/json',
+        ...headers,
       },
     };
 
@@ -41,6 +50,129 @@ function makeRequest(method, path, data = null) {
   });
 }
 
+// Helper function to make a raw request and keep headers and body bytes
+function makeRawRequest(method, path, headers = {}, body = null, port = 3002) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ hostname: 'localhost', port, path, method, headers: { ...AUTH_HEADERS, ...headers } }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => {
+        chunks.push(chunk);
+      });
+      res.on('end', () => {
+        resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) });
+      });
+    });
+
+    req.on('error', reject);
+
+    if (body) {
+      req.write(body);
+    }
+    req.end();
+  });
+}
+
+// Helper function to make a request to an in-process service on any port
+function requestService(port, method, path, data = null, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname: 'localhost',
+      port,
+      path,
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers }
+    }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => {
+        body += chunk;
+      });
+      res.on('end', () => {
+        let parsed = null;
+        try {
+          parsed = JSON.parse(body);
+        } catch (error) {
+          // Not JSON, e.g. audio bytes
+        }
+        resolve({ status: res.statusCode, headers: res.headers, body, data: parsed });
+      });
+    });
+
+    req.on('error', reject);
+
+    if (data) {
+      req.write(JSON.stringify(data));
+    }
+    req.end();
+  });
+}
+
+// Helper function to start an in-process service on a free port with its
+// storage in a temporary directory. config is applied over test defaults;
+// fetch, clock and logger are passed through. stop() also removes the directory
+async function startTestService({ config = {}, fetch, clock, logger = { info() {}, warn() {}, error() {} } } = {}) {
+  const { createAudioService } = require('./server');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-service-'));
+  const service = createAudioService({
+    port: 0,
+    config: {
+      TTS_PROVIDERS: ['google'],
+      PERSISTENCE_ENABLED: false,
+      STATE_DIR: path.join(dir, 'state'),
+      AUDIO_DIR: path.join(dir, 'audio'),
+      OVERRIDES_DIR: path.join(dir, 'overrides'),
+      AUDIT_LOG_FILE: path.join(dir, 'audit.log'),
+      ...config
+    },
+    fetch: fetch || (async () => ({ body: Buffer.from('FAKE AUDIO'), contentType: 'audio/mpeg' })),
+    clock,
+    logger
+  });
+  
+  const server = await service.start();
+  return {
+    service,
+    dir,
+    port: server.address().port,
+    request: (method, path, data, headers) => requestService(server.address().port, method, path, data, headers),
+    stop: async (options) => {
+      await service.stop(options);
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Helper function to read a Server-Sent Events stream until it ends
+function readEvents(path, headers = {}, timeout = 20000) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ hostname: 'localhost', port: 3002, path, headers: { ...AUTH_HEADERS, ...headers } }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => {
+        body += chunk;
+      });
+      res.on('end', () => {
+        const events = body.split('\n\n')
+          .map(block => {
+            const event = {};
+            block.split('\n').forEach(line => {
+              const [field, ...rest] = line.split(': ');
+              if (['id', 'event', 'data'].includes(field)) {
+                event[field] = rest.join(': ');
+              }
+            });
+            return event;
+          })
+          .filter(event => event.event);
+        resolve({ status: res.statusCode, events });
+      });
+    });
+
+    req.on('error', reject);
+    req.setTimeout(timeout, () => {
+      req.destroy(new Error('Event stream timed out'));
+    });
+  });
+}
+
 // Test cases
 async function runTests() {
   console.log('🧪 Testing Pronunciation Audio Service...\n');
@@ -222,6 +354,1441 @@ async function runTests() {
     failed++;
   }
   
+  // Test 8: TTS provider chain reported in health check
+  console.log('\nTest 8: TTS Provider Chain');
+  try {
+    const response = await makeRequest('GET', '/health');
+    const providers = response.data.providers || {};
+    const audioResponse = await makeRequest('POST', '/audio', {
+      text: '朋友',
+      language: 'zh-CN'
+    });
+    
+    if (response.status === 200 && providers.google &&
+        typeof providers.google.success === 'number' &&
+        typeof providers.google.failure === 'number' &&
+        audioResponse.status === 200 && providers[audioResponse.data.provider]) {
+      console.log('✅ PASS - Provider statistics available');
+      console.log(`   Providers: ${Object.keys(providers).join(', ')}`);
+      console.log(`   Audio provider: ${audioResponse.data.provider}`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Provider statistics missing');
+      console.log('   Response:', response.data);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Provider chain error:', error.message);
+    failed++;
+  }
+  
+  // Test 8b: A failing provider falls back to the next one in the chain
+  console.log('\nTest 8b: TTS Provider Fallback');
+  try {
+    const fetched = [];
+    const test = await startTestService({
+      config: { TTS_PROVIDERS: ['google', 'http'], HTTP_TTS_BASE_URL: 'http://tts.test/synthesize' },
+      fetch: async (url) => {
+        fetched.push(new URL(url).host);
+        if (url.startsWith('http://tts.test/')) {
+          return { body: Buffer.from('HTTP PROVIDER AUDIO'), contentType: 'audio/mpeg' };
+        }
+        throw new Error('Upstream responded with status 503');
+      }
+    });
+    
+    const audioResponse = await test.request('POST', '/audio', { text: '朋友' });
+    const playResponse = await test.request('GET', audioResponse.data.audioUrl);
+    const againResponse = await test.request('POST', '/audio', { text: '朋友' });
+    const health = await test.request('GET', '/health');
+    await test.stop();
+    
+    // google has no numeric speeds, so it must not stand in for http at 1.5x
+    const variantFetched = [];
+    const variantTest = await startTestService({
+      config: { TTS_PROVIDERS: ['http', 'google'], HTTP_TTS_BASE_URL: 'http://tts.test/synthesize' },
+      fetch: async (url) => {
+        variantFetched.push(new URL(url).host);
+        if (url.startsWith('http://tts.test/')) {
+          throw new Error('Upstream responded with status 503');
+        }
+        return { body: Buffer.from('GOOGLE AUDIO'), contentType: 'audio/mpeg' };
+      }
+    });
+    
+    const fastResponse = await variantTest.request('POST', '/audio', { text: '朋友', speed: 1.5 });
+    const fastPlay = await variantTest.request('GET', fastResponse.data.audioUrl);
+    const normalResponse = await variantTest.request('POST', '/audio', { text: '朋友' });
+    const normalPlay = await variantTest.request('GET', normalResponse.data.audioUrl);
+    await variantTest.stop();
+    
+    const { google, http: httpProvider } = health.data.providers;
+    if (playResponse.status === 200 && playResponse.body === 'HTTP PROVIDER AUDIO' &&
+        fetched.join() === 'translate.google.com,tts.test' &&
+        againResponse.data.provider === 'http' &&
+        google.failure === 1 && google.lastError && httpProvider.success === 1 &&
+        fastPlay.status === 500 && normalPlay.status === 200 && normalPlay.body === 'GOOGLE AUDIO' &&
+        variantFetched.join() === 'tts.test,tts.test,translate.google.com') {
+      console.log('✅ PASS - Failed provider skipped, fallback served and recorded the audio');
+      console.log(`   Tried: ${fetched.join(' -> ')}; at 1.5x: ${variantFetched.slice(0, 1).join()} only`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Provider fallback not working as expected');
+      console.log('   Response:', playResponse.status, playResponse.body, fetched, againResponse.data.provider);
+      console.log('   Variant:', fastPlay.status, fastPlay.body, normalPlay.status, variantFetched);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Provider fallback error:', error.message);
+    failed++;
+  }
+  
+  // Test 9: Disk cache statistics
+  console.log('\nTest 9: Disk Audio Cache');
+  try {
+    const response = await makeRequest('GET', '/cache/stats');
+    const disk = response.data.disk;
+    
+    if (response.status === 200 && disk &&
+        typeof disk.files === 'number' && typeof disk.bytes === 'number' &&
+        disk.maxBytes > 0) {
+      console.log('✅ PASS - Disk cache statistics available');
+      console.log(`   Disk files: ${disk.files} (${disk.bytes} bytes)`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Disk cache statistics missing');
+      console.log('   Response:', response.data);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Disk cache error:', error.message);
+    failed++;
+  }
+  
+  // Test 9a: Disk hits, concurrent writes of the same audio and eviction
+  console.log('\nTest 9a: Disk Cache Hits and Eviction');
+  try {
+    let now = Date.now();
+    const fetched = [];
+    // The first fetches of both speeds of 谢谢 finish together, so their writes overlap
+    let releasePair;
+    const pairFetched = new Promise(resolve => { releasePair = resolve; });
+    let pairCount = 0;
+    const test = await startTestService({
+      config: { DISK_CACHE_MAX_BYTES: 250 },
+      clock: { now: () => now },
+      fetch: async (url) => {
+        const text = new URL(url).searchParams.get('q');
+        fetched.push(text);
+        if (text === '谢谢' && ++pairCount <= 2) {
+          if (pairCount === 2) releasePair();
+          await pairFetched;
+        }
+        // 100 bytes per text; both speeds of 谢谢 get the same bytes
+        return { body: Buffer.alloc(100, text), contentType: 'audio/mpeg' };
+      }
+    });
+    const play = async (text, speed) => {
+      const response = await test.request('POST', '/audio', { text, speed });
+      return test.request('GET', response.data.audioUrl);
+    };
+    
+    const missPlay = await play('你好');
+    now += 1000;
+    const hitPlay = await play('你好');
+    now += 1000;
+    const [normalPlay, slowPlay] = await Promise.all([play('谢谢'), play('谢谢', 'slow')]);
+    const replays = await Promise.all([play('谢谢'), play('谢谢', 'slow')]);
+    const sharedStats = (await test.request('GET', '/cache/stats')).data.disk;
+    now += 1000;
+    await play('朋友');
+    const evictedStats = (await test.request('GET', '/cache/stats')).data.disk;
+    const refetchPlay = await play('你好');
+    const leftover = fs.readdirSync(path.join(test.dir, 'audio')).filter(file => file.endsWith('.tmp'));
+    await test.stop();
+    
+    if (missPlay.headers['x-audio-cache'] === 'MISS' && hitPlay.headers['x-audio-cache'] === 'HIT' &&
+        normalPlay.status === 200 && slowPlay.status === 200 &&
+        replays.every(replay => replay.headers['x-audio-cache'] === 'HIT') &&
+        sharedStats.files === 2 && sharedStats.bytes === 200 &&
+        evictedStats.files === 2 && evictedStats.bytes === 200 && evictedStats.evictions === 1 &&
+        refetchPlay.headers['x-audio-cache'] === 'MISS' &&
+        fetched.filter(text => text === '你好').length === 2 && leftover.length === 0) {
+      console.log('✅ PASS - Disk hits served, shared audio stored once, least recently played evicted');
+      console.log(`   After eviction: ${evictedStats.files} files, ${evictedStats.bytes} of ${evictedStats.maxBytes} bytes`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Disk cache not working as expected');
+      console.log('   Stats:', missPlay.headers['x-audio-cache'], hitPlay.headers['x-audio-cache'], sharedStats, evictedStats, fetched);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Disk cache eviction error:', error.message);
+    failed++;
+  }
+  
+  // Test 9b: Cache state persists across restarts
+  console.log('\nTest 9b: State Persistence');
+  try {
+    const stateRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-state-'));
+    const stateDir = path.join(stateRoot, 'state');
+    const crashDir = path.join(stateRoot, 'crash');
+    const persistent = { PERSISTENCE_ENABLED: true, MAX_CACHE_SIZE: 3 };
+    
+    // Restore after a clean stop, which writes a snapshot
+    const first = await startTestService({ config: { ...persistent, STATE_DIR: stateDir } });
+    await first.request('POST', '/audio', { text: '你好' });
+    await first.stop();
+    const second = await startTestService({ config: { ...persistent, STATE_DIR: stateDir } });
+    const restoredResponse = await second.request('POST', '/audio', { text: '你好' });
+    await second.stop();
+    
+    // Replay the journal of a service that never stopped. Playing 你好 journals
+    // it again after 朋友 and 老师, so 朋友 is the oldest when 学习 needs room
+    const running = await startTestService({ config: { ...persistent, STATE_DIR: path.join(stateRoot, 'running') } });
+    const helloResponse = await running.request('POST', '/audio', { text: '你好' });
+    await running.request('POST', '/audio', { text: '朋友' });
+    await running.request('POST', '/audio', { text: '老师' });
+    await running.request('GET', helloResponse.data.audioUrl);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    fs.cpSync(path.join(stateRoot, 'running'), crashDir, { recursive: true });
+    await running.stop();
+    const replayed = await startTestService({ config: { ...persistent, STATE_DIR: crashDir } });
+    await replayed.request('POST', '/audio', { text: '学习' });
+    const keptResponse = await replayed.request('POST', '/audio', { text: '你好' });
+    const evictedResponse = await replayed.request('POST', '/audio', { text: '朋友' });
+    await replayed.stop();
+    
+    // An unreadable snapshot is moved aside and the service starts empty
+    fs.writeFileSync(path.join(stateDir, 'snapshot.json'), '{ not json');
+    const corrupt = await startTestService({ config: { ...persistent, STATE_DIR: stateDir } });
+    const corruptResponse = await corrupt.request('POST', '/audio', { text: '你好' });
+    await corrupt.stop();
+    const movedAside = fs.readdirSync(stateDir).filter(file => file.startsWith('snapshot.json.corrupt-'));
+    
+    // PERSISTENCE=off writes nothing
+    const offDir = path.join(stateRoot, 'off');
+    const previousSetting = process.env.PERSISTENCE;
+    process.env.PERSISTENCE = 'off';
+    const { createAudioService } = require('./server');
+    const offService = createAudioService({
+      port: 0,
+      config: { TTS_PROVIDERS: ['google'], STATE_DIR: offDir, AUDIO_DIR: path.join(stateRoot, 'audio') },
+      fetch: async () => ({ body: Buffer.from('FAKE AUDIO'), contentType: 'audio/mpeg' }),
+      logger: { info() {}, warn() {}, error() {} }
+    });
+    const offPort = (await offService.start()).address().port;
+    const offResponse = await requestService(offPort, 'POST', '/audio', { text: '你好' });
+    await offService.stop();
+    if (previousSetting === undefined) delete process.env.PERSISTENCE;
+    else process.env.PERSISTENCE = previousSetting;
+    const offWrote = fs.existsSync(offDir);
+    fs.rmSync(stateRoot, { recursive: true, force: true });
+    
+    if (restoredResponse.data.cached === true &&
+        keptResponse.data.cached === true && evictedResponse.data.cached === false &&
+        corruptResponse.status === 200 && corruptResponse.data.cached === false && movedAside.length === 1 &&
+        offResponse.status === 200 && !offWrote) {
+      console.log('✅ PASS - Cache restored from snapshot and journal in LRU order');
+      console.log(`   Corrupt snapshot moved to ${movedAside[0]}; nothing written with PERSISTENCE=off`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - State persistence not working as expected');
+      console.log('   Cached:', restoredResponse.data.cached, keptResponse.data.cached, evictedResponse.data.cached,
+        corruptResponse.data.cached, movedAside, offWrote);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - State persistence error:', error.message);
+    failed++;
+  }
+  
+  // Test 10: Cache expiry, LRU eviction order, pinning and hit/miss counters
+  console.log('\nTest 10: Cache Policy');
+  try {
+    let now = Date.now();
+    const stateRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-state-'));
+    const config = { MAX_CACHE_SIZE: 3, CACHE_TTL_MS: 60000, PERSISTENCE_ENABLED: true };
+    const first = await startTestService({
+      config: { ...config, STATE_DIR: path.join(stateRoot, 'first') },
+      clock: { now: () => now }
+    });
+    const lookup = async (test, text, ttl) => (await test.request('POST', '/audio', { text, ttl })).data;
+    
+    const shortLived = await lookup(first, '你好', 10);
+    const pinned = await lookup(first, '朋友');
+    await lookup(first, '老师');
+    const pinResponse = await first.request('POST', `/cache/${pinned.audioUrl.split('/').pop()}/pin`);
+    now += 11000;
+    // 你好 expired; using 老师 leaves 你好 as the oldest unpinned entry for 学习 to evict
+    const expired = await lookup(first, '你好');
+    await lookup(first, '老师');
+    await lookup(first, '学习');
+    const pinnedKept = await lookup(first, '朋友');
+    const evicted = await lookup(first, '你好');
+    const invalidTtlResponse = await first.request('POST', '/audio', { text: '图书馆', ttl: -5 });
+    const stats = (await first.request('GET', '/cache/stats')).data.cache;
+    
+    // Restart from the journal. Only the journaled lookup of 学习 makes 你好,
+    // not 学习, the oldest unpinned entry when 图书馆 needs room
+    await lookup(first, '学习');
+    await new Promise(resolve => setTimeout(resolve, 100));
+    fs.cpSync(path.join(stateRoot, 'first'), path.join(stateRoot, 'second'), { recursive: true });
+    await first.stop();
+    const second = await startTestService({
+      config: { ...config, STATE_DIR: path.join(stateRoot, 'second') },
+      clock: { now: () => now }
+    });
+    await lookup(second, '图书馆');
+    const touchedKept = await lookup(second, '学习');
+    const oldestEvicted = await lookup(second, '你好');
+    now += 61000;
+    const defaultExpired = await lookup(second, '学习');
+    const pinnedNeverExpires = await lookup(second, '朋友');
+    await second.stop();
+    fs.rmSync(stateRoot, { recursive: true, force: true });
+    
+    if (shortLived.cached === false && pinResponse.data.pinned === true &&
+        expired.cached === false && pinnedKept.cached === true && evicted.cached === false &&
+        invalidTtlResponse.status === 400 && invalidTtlResponse.data.error === 'Invalid ttl' &&
+        stats.pinned === 1 && stats.evictions >= 1 && stats.expirations === 1 && stats.hits >= 2 &&
+        touchedKept.cached === true && oldestEvicted.cached === false &&
+        defaultExpired.cached === false && pinnedNeverExpires.cached === true) {
+      console.log('✅ PASS - Cache policy working');
+      console.log(`   Hits: ${stats.hits}, misses: ${stats.misses}, evictions: ${stats.evictions}, expirations: ${stats.expirations}`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Cache policy not working as expected');
+      console.log('   Cached:', expired.cached, pinnedKept.cached, evicted.cached, touchedKept.cached,
+        oldestEvicted.cached, defaultExpired.cached, pinnedNeverExpires.cached, stats);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Cache policy error:', error.message);
+    failed++;
+  }
+  
+  // Test 11: Preload reports per-text results, abandons timed-out fetches and
+  // survives its entry being evicted between attempts
+  console.log('\nTest 11: Preload Results');
+  try {
+    let studentCalls = 0;
+    const test = await startTestService({
+      config: { MAX_CACHE_SIZE: 1, PRELOAD_TIMEOUT: 300, PRELOAD_RETRIES: 1, PRELOAD_RETRY_DELAY: 0 },
+      fetch: async (url) => {
+        const text = new URL(url).searchParams.get('q');
+        if (text === '老师') {
+          await new Promise(resolve => setTimeout(resolve, 600));
+        } else if (text === '学生' && ++studentCalls === 1) {
+          // Evict the entry mid-preload by filling the one-entry cache
+          await test.request('POST', '/audio', { text: '电脑' });
+          throw new Error('Upstream responded with status 503');
+        }
+        return { body: Buffer.from(`AUDIO ${text}`), contentType: 'audio/mpeg' };
+      }
+    });
+    
+    const response = await test.request('POST', '/preload', { texts: ['老师', '学生'], language: 'zh-CN' });
+    let statusResponse;
+    for (let attempt = 0; attempt < 50; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      statusResponse = await test.request('GET', `/preload/${response.data.preloadId}`);
+      if (statusResponse.data.status !== 'processing') break;
+    }
+    
+    // Let the abandoned fetches finish before looking at what was written
+    await new Promise(resolve => setTimeout(resolve, 700));
+    const stats = await test.request('GET', '/cache/stats');
+    await test.stop();
+    
+    const [slow, evicted] = statusResponse.data.results;
+    if (statusResponse.data.status === 'partial' &&
+        !slow.ok && slow.timeout && slow.upstream_error === null && slow.attempts === 2 &&
+        evicted.ok && evicted.attempts === 2 && evicted.bytes === Buffer.byteLength('AUDIO 学生') &&
+        stats.data.disk.files === 1) {
+      console.log('✅ PASS - Preload reports timeouts and evictions, abandoned fetches write nothing');
+      console.log(`   ${slow.text}: timeout after ${slow.attempts} attempts; ${evicted.text}: ${evicted.bytes} bytes`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Preload results not as expected');
+      console.log('   Response:', statusResponse.data, stats.data.disk);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Preload results error:', error.message);
+    failed++;
+  }
+  
+  // Test 12: Preload progress over Server-Sent Events
+  console.log('\nTest 12: Preload Event Stream');
+  try {
+    const response = await makeRequest('POST', '/preload', {
+      texts: ['电脑', '手机'],
+      language: 'zh-CN'
+    });
+    const eventsPath = `/preload/${response.data.preloadId}/events`;
+    
+    const stream = await readEvents(eventsPath);
+    const resumed = await readEvents(eventsPath, { 'Last-Event-ID': '2' });
+    const itemEvents = stream.events.filter(event => event.event === 'item');
+    const finalEvent = stream.events[stream.events.length - 1];
+    
+    if (stream.status === 200 && itemEvents.length === 2 &&
+        ['completed', 'failed'].includes(finalEvent.event) &&
+        resumed.events.length === 1 && resumed.events[0].event === finalEvent.event) {
+      console.log('✅ PASS - Preload events streamed');
+      console.log(`   Events: ${stream.events.map(event => event.event).join(', ')}`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Preload event stream not working');
+      console.log('   Events:', stream.events, resumed.events);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Preload event stream error:', error.message);
+    failed++;
+  }
+  
+  // Test 13: Pinyin input and annotation
+  console.log('\nTest 13: Pinyin Support');
+  try {
+    const hanziResponse = await makeRequest('POST', '/audio', {
+      text: '你好',
+      language: 'zh-CN'
+    });
+    const numberResponse = await makeRequest('POST', '/audio', {
+      text: 'ni3 hao3',
+      language: 'zh-CN'
+    });
+    const markResponse = await makeRequest('POST', '/audio', {
+      text: 'nǐ hǎo',
+      language: 'zh-CN'
+    });
+    
+    // The provider is sent characters that read as the pinyin, not romanization
+    const fetchedTexts = [];
+    const test = await startTestService({
+      fetch: async (url) => {
+        fetchedTexts.push(new URL(url).searchParams.get('q'));
+        return { body: Buffer.from('FAKE AUDIO'), contentType: 'audio/mpeg' };
+      }
+    });
+    const sentenceResponse = await test.request('POST', '/audio', { text: 'wo3 men5 xue2 xi2' });
+    await test.request('GET', sentenceResponse.data.audioUrl);
+    const fetchedResponse = await test.request('POST', '/audio', { text: fetchedTexts[0] || '' });
+    const unknownResponse = await test.request('POST', '/audio', { text: 'ni1' });
+    await test.stop();
+    
+    if (hanziResponse.data.pinyin && hanziResponse.data.pinyin.marks === 'nǐ hǎo' &&
+        hanziResponse.data.pinyin.numbers === 'ni3 hao3' &&
+        numberResponse.status === 200 && numberResponse.data.inputType === 'pinyin' &&
+        markResponse.status === 200 && markResponse.data.audioUrl === numberResponse.data.audioUrl &&
+        numberResponse.data.audioUrl === hanziResponse.data.audioUrl &&
+        fetchedTexts.length === 1 && /^[\u4e00-\u9fff]{4}$/.test(fetchedTexts[0]) &&
+        fetchedResponse.data.pinyin.numbers.replace(/\d/g, '') === 'wo men xue xi' &&
+        fetchedResponse.data.pinyin.numbers.startsWith('wo3 ') &&
+        fetchedResponse.data.audioUrl === sentenceResponse.data.audioUrl &&
+        unknownResponse.status === 400) {
+      console.log('✅ PASS - Pinyin input and annotation working');
+      console.log(`   你好 -> ${hanziResponse.data.pinyin.marks} (${hanziResponse.data.pinyin.numbers})`);
+      console.log(`   wo3 men5 xue2 xi2 -> ${fetchedTexts[0]} (${fetchedResponse.data.pinyin.numbers})`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Pinyin support not working');
+      console.log('   Responses:', hanziResponse.data, numberResponse.data, markResponse.data, fetchedTexts,
+        fetchedResponse.data, unknownResponse.status);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Pinyin support error:', error.message);
+    failed++;
+  }
+  
+  // Test 14: Long text is segmented
+  console.log('\nTest 14: Long Text Segmentation');
+  try {
+    const longText = '我每天早上七点起床，然后去学校学习中文。'.repeat(4) + '今天的天气怎么样？'.repeat(6);
+    const response = await makeRequest('POST', '/audio', {
+      text: longText,
+      language: 'zh-CN'
+    });
+    const segments = response.data.segments || [];
+    
+    if (response.status === 200 && segments.length > 1 &&
+        segments.map(segment => segment.text).join('') === longText &&
+        segments.every(segment => segment.text.length <= 100 && segment.audioUrl) &&
+        response.data.manifestUrl) {
+      console.log('✅ PASS - Long text split into segments');
+      console.log(`   Segments: ${segments.length} (${longText.length} characters)`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Long text segmentation not working');
+      console.log('   Response:', response.data);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Long text segmentation error:', error.message);
+    failed++;
+  }
+  
+  // Test 15: Range, ETag and HEAD support on /play
+  console.log('\nTest 15: Conditional and Range Requests');
+  try {
+    const audio = Buffer.from('0123456789'.repeat(10));
+    const test = await startTestService({
+      fetch: async () => ({ body: audio, contentType: 'audio/mpeg' })
+    });
+    const audioResponse = await test.request('POST', '/audio', { text: '谢谢' });
+    const playPath = audioResponse.data.audioUrl;
+    const full = await test.request('GET', playPath);
+    const etag = full.headers.etag;
+    const notModified = await test.request('GET', playPath, null, { 'If-None-Match': etag });
+    const partial = await test.request('GET', playPath, null, { 'Range': 'bytes=10-19' });
+    const head = await test.request('HEAD', playPath);
+    await test.stop();
+    
+    if (full.status === 200 && full.body === audio.toString() &&
+        etag && notModified.status === 304 && notModified.body === '' &&
+        partial.status === 206 && partial.body === audio.subarray(10, 20).toString() &&
+        partial.headers['content-range'] === `bytes 10-19/${audio.length}` &&
+        head.status === 200 && head.body === '' && head.headers.etag === etag &&
+        Number(head.headers['content-length']) === audio.length) {
+      console.log('✅ PASS - Range, ETag and HEAD working');
+      console.log(`   ETag: ${etag}`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Range, ETag or HEAD not working');
+      console.log(`   200: ${full.status}, 304: ${notModified.status}, 206: ${partial.status}, HEAD: ${head.status}`);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Conditional request error:', error.message);
+    failed++;
+  }
+  
+  // Test 16: Speed and voice variants
+  console.log('\nTest 16: Speed and Voice Variants');
+  try {
+    const voicesResponse = await makeRequest('GET', '/voices?language=zh-CN');
+    const normalResponse = await makeRequest('POST', '/audio', {
+      text: '再见',
+      language: 'zh-CN'
+    });
+    const slowResponse = await makeRequest('POST', '/audio', {
+      text: '再见',
+      language: 'zh-CN',
+      speed: 'slow'
+    });
+    const invalidResponse = await makeRequest('POST', '/audio', {
+      text: '再见',
+      language: 'zh-CN',
+      speed: 'warp'
+    });
+    const variants = voicesResponse.data.languages && voicesResponse.data.languages['zh-CN'];
+    
+    if (variants && variants.speeds.includes('slow') &&
+        slowResponse.status === 200 && slowResponse.data.speed === 'slow' &&
+        slowResponse.data.audioUrl !== normalResponse.data.audioUrl &&
+        invalidResponse.status === 400) {
+      console.log('✅ PASS - Variants cached separately');
+      console.log(`   Speeds: ${variants.speeds.join(', ')} (provider: ${variants.activeProvider})`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Variants not working as expected');
+      console.log('   Responses:', voicesResponse.data, slowResponse.data, invalidResponse.data);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Variants error:', error.message);
+    failed++;
+  }
+  
+  // Test 17: Character breakdown
+  console.log('\nTest 17: Character Breakdown');
+  try {
+    const breakdownResponse = await makeRequest('POST', '/audio/breakdown', {
+      word: '图书馆',
+      language: 'zh-CN'
+    });
+    const preloadResponse = await makeRequest('POST', '/preload', {
+      texts: ['图书馆'],
+      language: 'zh-CN',
+      breakdown: true
+    });
+    const characters = breakdownResponse.data.characters || [];
+    
+    // 行 is háng in 银行, not its usual xíng, and shares audio with that reading
+    const bankResponse = await makeRequest('POST', '/audio/breakdown', { word: '银行' });
+    const yinResponse = await makeRequest('POST', '/audio', { text: '银' });
+    const hangResponse = await makeRequest('POST', '/audio', { text: '行', reading: 'hang2' });
+    const xingResponse = await makeRequest('POST', '/audio', { text: '行' });
+    const [yin, hang] = bankResponse.data.characters || [];
+    
+    if (breakdownResponse.status === 200 && breakdownResponse.data.audioUrl &&
+        characters.length === 3 && characters.every(c => c.audioUrl && c.reading) &&
+        preloadResponse.status === 200 && preloadResponse.data.textsCount === 4 &&
+        bankResponse.status === 200 && bankResponse.data.pinyin.marks === 'yín háng' &&
+        yin.reading.marks === 'yín' && yin.audioUrl === yinResponse.data.audioUrl &&
+        hang.reading.marks === 'háng' && hang.reading.numbers === 'hang2' &&
+        hang.audioUrl === hangResponse.data.audioUrl && hang.audioUrl !== xingResponse.data.audioUrl) {
+      console.log('✅ PASS - Word and characters have audio');
+      console.log(`   Readings: ${characters.map(c => `${c.character} ${c.reading.marks}`).join(', ')}`);
+      console.log(`   In 银行: ${bankResponse.data.characters.map(c => `${c.character} ${c.reading.marks}`).join(', ')}`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Breakdown not working as expected');
+      console.log('   Responses:', breakdownResponse.data, preloadResponse.data, bankResponse.data);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Breakdown error:', error.message);
+    failed++;
+  }
+  
+  // Test 18: Deck preload jobs
+  console.log('\nTest 18: Deck Preload Jobs');
+  try {
+    const deckResponse = await makeRequest('POST', '/decks/test-deck/preload', {
+      words: ['朋友', '医生', '电影'],
+      language: 'zh-CN'
+    });
+    const jobId = deckResponse.data.jobId;
+    const pauseResponse = await makeRequest('POST', `/jobs/${jobId}/pause`);
+    const resumeResponse = await makeRequest('POST', `/jobs/${jobId}/resume`);
+    
+    let statusResponse;
+    for (let attempt = 0; attempt < 30; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+      statusResponse = await makeRequest('GET', `/jobs/${jobId}`);
+      if (statusResponse.data.status !== 'processing') break;
+    }
+    
+    const hskResponse = await makeRequest('POST', '/decks/hsk-1/preload', {
+      hskLevel: 1,
+      language: 'zh-CN'
+    });
+    const cancelResponse = await makeRequest('POST', `/jobs/${hskResponse.data.jobId}/cancel`);
+    const hskSixResponse = await makeRequest('POST', '/decks/hsk-6/preload', { hskLevel: 6 });
+    const hskSixCancel = await makeRequest('POST', `/jobs/${hskSixResponse.data.jobId}/cancel`);
+    const invalidLevelResponse = await makeRequest('POST', '/decks/hsk-7/preload', { hskLevel: 7 });
+    const progress = statusResponse.data.progress;
+    
+    if (deckResponse.status === 200 && pauseResponse.data.status === 'paused' &&
+        resumeResponse.data.status === 'processing' &&
+        ['completed', 'partial', 'failed'].includes(statusResponse.data.status) &&
+        progress.done === 3 && progress.total === 3 &&
+        hskResponse.data.total > 10 && cancelResponse.data.status === 'cancelled' &&
+        hskSixResponse.data.total > 2000 && hskSixCancel.data.status === 'cancelled' &&
+        invalidLevelResponse.status === 400) {
+      console.log('✅ PASS - Deck jobs report progress and can be paused and cancelled');
+      console.log(`   Status: ${statusResponse.data.status} (${progress.done}/${progress.total}, ${progress.failed} failed)`);
+      console.log(`   HSK 1 deck: ${hskResponse.data.total} words, HSK 6 deck: ${hskSixResponse.data.total} words`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Deck jobs not working as expected');
+      console.log('   Responses:', statusResponse.data, hskResponse.data, cancelResponse.data);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Deck job error:', error.message);
+    failed++;
+  }
+  
+  // Test 18b: Clearing the cache cancels running preloads and deck jobs
+  console.log('\nTest 18b: Cache Clear Cancels Jobs');
+  try {
+    let fetchCount = 0;
+    const test = await startTestService({
+      config: { DECK_CONCURRENCY: 2, DECK_ITEM_DELAY: 10, PRELOAD_CONCURRENCY: 1 },
+      fetch: async () => {
+        fetchCount++;
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return { body: Buffer.from('FAKE AUDIO'), contentType: 'audio/mpeg' };
+      }
+    });
+    const words = Array.from({ length: 40 }, (_, index) => '一二三四五六七八九十'[index % 10] + '百千万亿'[Math.floor(index / 10)]);
+    
+    const deck = await test.request('POST', '/decks/numbers/preload', { words });
+    const pausedDeck = await test.request('POST', '/decks/paused/preload', { words: words.map(word => word + '个') });
+    await test.request('POST', `/jobs/${pausedDeck.data.jobId}/pause`);
+    const preload = await test.request('POST', '/preload', { texts: words.map(word => word + '年') });
+    await new Promise(resolve => setTimeout(resolve, 150));
+    
+    const clearResponse = await test.request('POST', '/cache/clear');
+    const fetchesAtClear = fetchCount;
+    await new Promise(resolve => setTimeout(resolve, 500));
+    const stats = await test.request('GET', '/cache/stats');
+    const deckStatus = await test.request('GET', `/jobs/${deck.data.jobId}`);
+    const preloadStatus = await test.request('GET', `/preload/${preload.data.preloadId}`);
+    await test.stop();
+    
+    // Only the fetches already under way when the cache was cleared may finish
+    const lateFetches = fetchCount - fetchesAtClear;
+    if (clearResponse.status === 200 && fetchesAtClear > 0 && lateFetches <= 3 &&
+        stats.data.cache.size <= 3 && deckStatus.status === 404 && preloadStatus.status === 404) {
+      console.log('✅ PASS - Running and paused jobs stopped when the cache was cleared');
+      console.log(`   Fetches before clear: ${fetchesAtClear}, after: ${lateFetches}, entries left: ${stats.data.cache.size}`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Jobs kept running after the cache was cleared');
+      console.log('   Fetches:', fetchesAtClear, lateFetches, 'entries:', stats.data.cache.size,
+        deckStatus.status, preloadStatus.status);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Cache clear job error:', error.message);
+    failed++;
+  }
+  
+  // Test 19: Offline audio pack export and import
+  console.log('\nTest 19: Audio Pack Export and Import');
+  try {
+    const fetched = [];
+    const exporter = await startTestService({
+      fetch: async (url) => {
+        const params = new URL(url).searchParams;
+        fetched.push(params.get('q'));
+        return { body: Buffer.from(`AUDIO ${params.get('q')} ${params.get('ttsspeed') || 'normal'}`), contentType: 'audio/mpeg' };
+      }
+    });
+    for (const params of [{ text: '老师' }, { text: '老师', speed: 'slow' }, { text: '朋友' }]) {
+      const response = await exporter.request('POST', '/audio', params);
+      await exporter.request('GET', response.data.audioUrl);
+    }
+    // 学习 has a cache entry but no audio yet
+    await exporter.request('POST', '/audio', { text: '学习' });
+    const fetchedBeforeExport = fetched.length;
+    const sizeBeforeExport = (await exporter.request('GET', '/health')).data.cache.size;
+    
+    const exportResponse = await makeRawRequest('GET',
+      `/packs/export?language=zh-CN&texts=${encodeURIComponent('老师,朋友,学习,谢谢')}`, {}, null, exporter.port);
+    const uncachedResponse = await exporter.request('GET', `/packs/export?texts=${encodeURIComponent('谢谢')}`);
+    const sizeAfterExport = (await exporter.request('GET', '/health')).data.cache.size;
+    await exporter.stop();
+    
+    // manifest.json is the first file in the archive
+    const manifestSize = parseInt(exportResponse.body.subarray(124, 136).toString(), 8);
+    const manifest = JSON.parse(exportResponse.body.subarray(512, 512 + manifestSize).toString());
+    
+    // Import into a service that can't reach any provider
+    const importer = await startTestService({
+      fetch: async () => {
+        throw new Error('Upstream unreachable');
+      }
+    });
+    const importResponse = await makeRawRequest('POST', '/packs/import', {
+      'Content-Type': 'application/x-tar'
+    }, exportResponse.body, importer.port);
+    const imported = JSON.parse(importResponse.body.toString());
+    const plays = [];
+    for (const entry of imported.entries || []) {
+      plays.push(await importer.request('GET', entry.audioUrl));
+    }
+    await importer.stop();
+    
+    if (exportResponse.status === 200 &&
+        exportResponse.headers['content-type'] === 'application/x-tar' &&
+        fetched.length === fetchedBeforeExport && sizeAfterExport === sizeBeforeExport &&
+        manifest.entries.length === 3 &&
+        manifest.entries.filter(entry => entry.text === '老师').map(entry => entry.variant.speed).sort().join() === 'normal,slow' &&
+        manifest.missing.map(item => item.text).sort().join() === ['学习', '谢谢'].sort().join() &&
+        uncachedResponse.status === 404 &&
+        importResponse.status === 200 && imported.imported === 3 &&
+        plays.every(play => play.status === 200 && play.headers['x-audio-cache'] === 'HIT') &&
+        plays.map(play => play.body).sort().join() === ['AUDIO 老师 normal', 'AUDIO 老师 0.24', 'AUDIO 朋友 normal'].sort().join()) {
+      console.log('✅ PASS - Cached audio and variants exported without fetching, imported without upstream');
+      console.log(`   Archive: ${exportResponse.body.length} bytes, imported ${imported.imported} entries, missing ${manifest.missing.length}`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Pack export or import not working as expected');
+      console.log('   Responses:', exportResponse.status, manifest, imported, plays.map(play => play.status));
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Pack error:', error.message);
+    failed++;
+  }
+  
+  // Test 20: API key roles, deck job ownership and audit log
+  console.log('\nTest 20: Authentication and Roles');
+  try {
+    const test = await startTestService({
+      config: { API_KEYS: 'client:client-a-key,client:client-b-key,admin:admin-key', DECK_ITEM_DELAY: 10000 }
+    });
+    const clientHeaders = { 'Authorization': 'Bearer client-a-key' };
+    const otherHeaders = { 'Authorization': 'Bearer client-b-key' };
+    const adminHeaders = { 'Authorization': 'Bearer admin-key' };
+    
+    const anonymousResponse = await test.request('POST', '/audio', { text: '你好' });
+    const clientResponse = await test.request('POST', '/audio', { text: '你好' }, clientHeaders);
+    const forbiddenResponse = await test.request('POST', '/cache/clear', null, clientHeaders);
+    
+    // Only the key that started a deck job, or an admin, can control it
+    const deckResponse = await test.request('POST', '/decks/roles/preload', { words: ['你好', '朋友', '老师'] }, clientHeaders);
+    const jobId = deckResponse.data.jobId;
+    const otherPause = await test.request('POST', `/jobs/${jobId}/pause`, null, otherHeaders);
+    const ownerPause = await test.request('POST', `/jobs/${jobId}/pause`, null, clientHeaders);
+    const adminCancel = await test.request('POST', `/jobs/${jobId}/cancel`, null, adminHeaders);
+    
+    const auditResponse = await test.request('GET', '/audit', null, adminHeaders);
+    await test.stop();
+    const refusal = (auditResponse.data.entries || []).find(entry =>
+      entry.path === '/cache/clear' && entry.status === 403);
+    
+    if (anonymousResponse.status === 401 && clientResponse.status === 200 &&
+        forbiddenResponse.status === 403 && auditResponse.status === 200 && refusal &&
+        deckResponse.status === 200 && otherPause.status === 403 &&
+        ownerPause.status === 200 && ownerPause.data.status === 'paused' && ownerPause.data.createdBy === 'env-1' &&
+        adminCancel.status === 200 && adminCancel.data.status === 'cancelled') {
+      console.log('✅ PASS - Roles enforced, deck jobs limited to their key, admin actions audited');
+      console.log(`   Refused ${refusal.method} ${refusal.path} for ${refusal.actor} (${refusal.role})`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Authentication not working as expected');
+      console.log('   Statuses:', anonymousResponse.status, clientResponse.status, forbiddenResponse.status, auditResponse.status,
+        otherPause.status, ownerPause.status, adminCancel.status);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Authentication error:', error.message);
+    failed++;
+  }
+  
+  // Test 21: Rate limiting
+  console.log('\nTest 21: Rate Limiting');
+  try {
+    const body = JSON.stringify({ word: 'x' });
+    const headers = { 'Content-Type': 'application/json' };
+    let limited = null;
+    let limit = null;
+    
+    for (let attempt = 0; attempt < 500 && !limited; attempt++) {
+      const response = await makeRawRequest('POST', '/audio/breakdown', headers, body);
+      limit = limit || Number(response.headers['ratelimit-limit']);
+      if (response.status === 429) limited = response;
+    }
+    
+    const usageResponse = await makeRequest('GET', '/rate-limits');
+    const you = usageResponse.data.you;
+    const usage = usageResponse.data.clients && usageResponse.data.clients[you];
+    const resetResponse = await makeRequest('DELETE', `/rate-limits/${encodeURIComponent(you)}`);
+    const afterReset = await makeRequest('POST', '/audio', { text: '你好' });
+    
+    if (limited && Number(limited.headers['retry-after']) > 0 &&
+        limited.headers['ratelimit-remaining'] === '0' &&
+        usage && usage.audio.limited > 0 &&
+        resetResponse.data.bucketsReset > 0 && afterReset.status === 200) {
+      console.log('✅ PASS - Requests limited with Retry-After and usage reported');
+      console.log(`   ${you}: limited after ${limit} requests, retry after ${limited.headers['retry-after']}s`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Rate limiting not working as expected');
+      console.log('   Responses:', limited && limited.status, usageResponse.data, resetResponse.data);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Rate limiting error:', error.message);
+    failed++;
+  }
+  
+  // Test 22: Prometheus metrics and latency percentiles
+  console.log('\nTest 22: Metrics');
+  try {
+    const metricsResponse = await makeRawRequest('GET', '/metrics');
+    const healthResponse = await makeRequest('GET', '/health');
+    const text = metricsResponse.body.toString();
+    const audioLatency = healthResponse.data.latencyPercentiles &&
+      healthResponse.data.latencyPercentiles['/audio'];
+    
+    // /play is timed too, from a miss that fetches and a hit from disk
+    const test = await startTestService();
+    const audioResponse = await test.request('POST', '/audio', { text: '电话' });
+    await test.request('GET', audioResponse.data.audioUrl);
+    await test.request('GET', audioResponse.data.audioUrl);
+    const testHealth = await test.request('GET', '/health');
+    await test.stop();
+    const playLatency = testHealth.data.latencyPercentiles['/play'];
+    
+    if (metricsResponse.status === 200 &&
+        metricsResponse.headers['content-type'].startsWith('text/plain') &&
+        text.includes('# TYPE http_request_duration_seconds histogram') &&
+        /http_request_duration_seconds_bucket\{method="POST",route="\/audio",status="200",le="0.3"\} \d+/.test(text) &&
+        text.includes('audio_cache_hits_total') &&
+        text.includes('process_resident_memory_bytes') &&
+        audioLatency && typeof audioLatency.p95 === 'number' &&
+        playLatency && typeof playLatency.p95 === 'number') {
+      console.log('✅ PASS - Metrics exposed in Prometheus format');
+      console.log(`   /audio latency: p50 ${audioLatency.p50}ms, p95 ${audioLatency.p95}ms, p99 ${audioLatency.p99}ms`);
+      console.log(`   /play latency: p50 ${playLatency.p50}ms, p95 ${playLatency.p95}ms, p99 ${playLatency.p99}ms`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Metrics missing');
+      console.log('   Response:', metricsResponse.status, text.slice(0, 500), testHealth.data.latencyPercentiles);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Metrics error:', error.message);
+    failed++;
+  }
+  
+  // Test 23: Configuration and reload
+  console.log('\nTest 23: Configuration Reload');
+  try {
+    const configResponse = await makeRequest('GET', '/config');
+    const reloadResponse = await makeRequest('POST', '/config/reload');
+    const corsResponse = await makeRawRequest('GET', '/health', { 'Origin': 'http://localhost:5173' });
+    const values = configResponse.data.values || {};
+    
+    if (configResponse.status === 200 && values.MAX_CACHE_SIZE && values.MAX_CACHE_SIZE.source &&
+        values.MAX_CACHE_SIZE.reloadable === true &&
+        (values.API_KEYS.value === '' || values.API_KEYS.value === '[redacted]') &&
+        reloadResponse.status === 200 && Array.isArray(reloadResponse.data.changed) &&
+        corsResponse.headers['access-control-allow-origin'] === 'http://localhost:5173') {
+      console.log('✅ PASS - Configuration reported and reloaded');
+      console.log(`   MAX_CACHE_SIZE = ${values.MAX_CACHE_SIZE.value} (from ${values.MAX_CACHE_SIZE.source})`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Configuration not working as expected');
+      console.log('   Responses:', configResponse.status, reloadResponse.data);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Configuration error:', error.message);
+    failed++;
+  }
+  
+  // Test 24: Embedded service with an injected fetcher and clock
+  console.log('\nTest 24: Embedded Service');
+  try {
+    const { createAudioService } = require('./server');
+    const audioDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-service-'));
+    const fetched = [];
+    let now = Date.now();
+    
+    const service = createAudioService({
+      port: 0,
+      config: {
+        TTS_PROVIDERS: ['google'],
+        PERSISTENCE_ENABLED: false,
+        AUDIO_DIR: audioDir,
+        AUDIT_LOG_FILE: path.join(audioDir, 'audit.log')
+      },
+      fetch: async (url) => {
+        fetched.push(url);
+        return { body: Buffer.from('FAKE AUDIO'), contentType: 'audio/mpeg' };
+      },
+      clock: { now: () => now },
+      logger: { info() {}, warn() {}, error() {} }
+    });
+    
+    // A second service can't replace the first one's fetch and clock
+    let secondError = null;
+    try {
+      createAudioService({ port: 0 });
+    } catch (error) {
+      secondError = error;
+    }
+    
+    const server = await service.start();
+    const port = server.address().port;
+    const audioResponse = await requestService(port, 'POST', '/audio', { text: '你好', ttl: 60 });
+    const playResponse = await requestService(port, 'GET', audioResponse.data.audioUrl);
+    now += 120000;
+    const expiredResponse = await requestService(port, 'GET', audioResponse.data.audioUrl);
+    await service.stop();
+    fs.rmSync(audioDir, { recursive: true, force: true });
+    
+    if (audioResponse.status === 200 && playResponse.status === 200 &&
+        playResponse.body === 'FAKE AUDIO' && fetched.length === 1 &&
+        expiredResponse.status === 404 && !server.listening &&
+        secondError && require('./server').createAudioService === createAudioService &&
+        typeof require('./server').use === 'function') {
+      console.log('✅ PASS - Service embedded, fetcher and clock injected, stopped cleanly');
+      console.log(`   Fetched: ${fetched[0].split('?')[0]}`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Embedded service not working as expected');
+      console.log('   Statuses:', audioResponse.status, playResponse.status, expiredResponse.status, fetched.length);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Embedded service error:', error.message);
+    failed++;
+  }
+  
+  // Test 25: Simplified/Traditional conversion
+  console.log('\nTest 25: Script Conversion');
+  try {
+    const simplifiedResponse = await makeRequest('POST', '/audio', { text: '学习', language: 'zh-TW' });
+    const traditionalResponse = await makeRequest('POST', '/audio', { text: '學習', language: 'zh-TW' });
+    const mainlandResponse = await makeRequest('POST', '/audio', { text: '學習', language: 'zh-CN' });
+    const unconvertedResponse = await makeRequest('POST', '/audio', { text: '学习', language: 'zh-TW', convert: false });
+    
+    if (simplifiedResponse.status === 200 && simplifiedResponse.data.displayText === '學習' &&
+        simplifiedResponse.data.script === 'traditional' &&
+        traditionalResponse.data.audioUrl === simplifiedResponse.data.audioUrl &&
+        traditionalResponse.data.cached === true &&
+        mainlandResponse.data.displayText === '学习' && mainlandResponse.data.script === 'simplified' &&
+        unconvertedResponse.data.displayText === '学习' && unconvertedResponse.data.script === undefined) {
+      console.log('✅ PASS - Both scripts share audio and display in the locale script');
+      console.log(`   zh-TW: ${simplifiedResponse.data.displayText}, zh-CN: ${mainlandResponse.data.displayText}`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Script conversion not working as expected');
+      console.log('   Responses:', simplifiedResponse.data, traditionalResponse.data, mainlandResponse.data);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Script conversion error:', error.message);
+    failed++;
+  }
+  
+  // Test 26: Recording overrides
+  console.log('\nTest 26: Recording Overrides');
+  try {
+    const overridePath = `/overrides/zh-CN/${encodeURIComponent('再见')}`;
+    const recording = Buffer.concat([Buffer.from('RIFF\0\0\0\0WAVEfmt '), Buffer.alloc(32)]);
+    
+    const uploadResponse = await makeRawRequest('PUT', overridePath, { 'Content-Type': 'audio/wav' }, recording);
+    const audioResponse = await makeRequest('POST', '/audio', { text: '再见', language: 'zh-CN' });
+    const playResponse = await makeRawRequest('GET', audioResponse.data.audioUrl);
+    const listResponse = await makeRequest('GET', '/overrides?language=zh-CN');
+    const badResponse = await makeRawRequest('PUT', overridePath, { 'Content-Type': 'audio/ogg' }, Buffer.from('not audio'));
+    const deleteResponse = await makeRequest('DELETE', overridePath);
+    const afterResponse = await makeRequest('POST', '/audio', { text: '再见', language: 'zh-CN' });
+    
+    // Concurrent uploads of the same bytes must not share a temp file
+    const test = await startTestService();
+    const largeRecording = Buffer.concat([recording, Buffer.alloc(2 * 1024 * 1024)]);
+    const concurrentUploads = await Promise.all(['一', '二', '三', '四', '五', '六'].map(text =>
+      makeRawRequest('PUT', `/overrides/zh-CN/${encodeURIComponent(text)}`, { 'Content-Type': 'audio/wav' }, largeRecording, test.port)));
+    const overrideFiles = fs.readdirSync(path.join(test.dir, 'overrides'));
+    await test.stop();
+    
+    if ((uploadResponse.status === 201 || uploadResponse.status === 200) &&
+        audioResponse.data.source === 'override' &&
+        playResponse.headers['x-audio-source'] === 'override' && playResponse.body.equals(recording) &&
+        listResponse.data.overrides.some(o => o.text === '再见') &&
+        badResponse.status === 400 && deleteResponse.status === 200 &&
+        afterResponse.data.source === 'tts' &&
+        concurrentUploads.every(upload => upload.status === 201) &&
+        overrideFiles.filter(file => file.endsWith('.wav')).length === 1 &&
+        !overrideFiles.some(file => file.endsWith('.tmp'))) {
+      console.log('✅ PASS - Recording served in place of TTS until deleted');
+      console.log(`   Sources: ${audioResponse.data.source} -> ${afterResponse.data.source}`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Recording overrides not working as expected');
+      console.log('   Statuses:', uploadResponse.status, playResponse.status, badResponse.status, deleteResponse.status,
+        concurrentUploads.map(upload => upload.status), overrideFiles);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Recording override error:', error.message);
+    failed++;
+  }
+  
+  // Test 27: Polyphonic character readings
+  console.log('\nTest 27: Polyphone Readings');
+  try {
+    const dictionaryResponse = await makeRequest('POST', '/audio', { text: '银行', language: 'zh-CN' });
+    const plainResponse = await makeRequest('POST', '/audio', { text: '行', language: 'zh-CN' });
+    const explicitResponse = await makeRequest('POST', '/audio', { text: '行', language: 'zh-CN', reading: 'hang2' });
+    const invalidResponse = await makeRequest('POST', '/audio', { text: '银行', language: 'zh-CN', reading: 'yin2' });
+    const reading = dictionaryResponse.data.reading || {};
+    
+    if (dictionaryResponse.status === 200 && reading.numbers === 'yin2 hang2' && reading.source === 'dictionary' &&
+        plainResponse.data.reading === null &&
+        explicitResponse.data.reading && explicitResponse.data.reading.source === 'explicit' &&
+        explicitResponse.data.pinyin.marks === 'háng' &&
+        explicitResponse.data.audioUrl !== plainResponse.data.audioUrl &&
+        invalidResponse.status === 400) {
+      console.log('✅ PASS - Readings chosen from the dictionary or request and cached separately');
+      console.log(`   银行: ${reading.marks}, 行: ${plainResponse.data.pinyin.marks} / ${explicitResponse.data.pinyin.marks}`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Polyphone readings not working as expected');
+      console.log('   Responses:', dictionaryResponse.data, explicitResponse.data, invalidResponse.status);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Polyphone reading error:', error.message);
+    failed++;
+  }
+  
+  // Test 27b: Providers get the characters, plus the reading where they accept one
+  console.log('\nTest 27b: Readings Sent to Providers');
+  try {
+    const sent = [];
+    const fetch = async (url) => {
+      sent.push(new URL(url));
+      return { body: Buffer.from('FAKE AUDIO'), contentType: 'audio/mpeg' };
+    };
+    const httpTest = await startTestService({
+      config: { TTS_PROVIDERS: ['http'], HTTP_TTS_BASE_URL: 'http://tts.test/synthesize' },
+      fetch
+    });
+    const httpDictionary = await httpTest.request('POST', '/audio', { text: '银行' });
+    await httpTest.request('GET', httpDictionary.data.audioUrl);
+    const httpExplicit = await httpTest.request('POST', '/audio', { text: '行', reading: 'hang2' });
+    await httpTest.request('GET', httpExplicit.data.audioUrl);
+    const httpPlain = await httpTest.request('POST', '/audio', { text: '行' });
+    await httpTest.request('GET', httpPlain.data.audioUrl);
+    await httpTest.stop();
+    
+    const googleTest = await startTestService({ fetch });
+    const googleDictionary = await googleTest.request('POST', '/audio', { text: '银行' });
+    await googleTest.request('GET', googleDictionary.data.audioUrl);
+    await googleTest.stop();
+    
+    const [dictionarySent, explicitSent, plainSent, googleSent] = sent;
+    // Dictionary readings keep the key of the bare text
+    const bareKey = crypto.createHash('md5').update('银行-zh-CN').digest('hex');
+    
+    if (sent.length === 4 &&
+        dictionarySent.searchParams.get('text') === '银行' && dictionarySent.searchParams.get('reading') === 'yin2 hang2' &&
+        explicitSent.searchParams.get('text') === '行' && explicitSent.searchParams.get('reading') === 'hang2' &&
+        plainSent.searchParams.get('text') === '行' && !plainSent.searchParams.has('reading') &&
+        googleSent.searchParams.get('q') === '银行' && googleSent.searchParams.get('tl') === 'zh-CN' &&
+        httpDictionary.data.audioUrl === `/play/${bareKey}` && googleDictionary.data.audioUrl === `/play/${bareKey}` &&
+        httpExplicit.data.audioUrl !== httpPlain.data.audioUrl) {
+      console.log('✅ PASS - Providers received Hanzi, with the reading only where supported');
+      console.log(`   http: ${dictionarySent.search}, google: ${googleSent.search}`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Readings not sent to providers as expected');
+      console.log('   Sent:', sent.map(url => url.href));
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Provider reading error:', error.message);
+    failed++;
+  }
+  
+  // Test 28: Request coalescing, circuit breaker and stale audio
+  console.log('\nTest 28: Upstream Coalescing and Circuit Breaker');
+  try {
+    const { createAudioService } = require('./server');
+    const audioDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-service-'));
+    let fetchCount = 0;
+    let failing = false;
+    let now = Date.now();
+    let friendFetchStarted;
+    const friendFetch = new Promise(resolve => {
+      friendFetchStarted = resolve;
+    });
+    
+    const service = createAudioService({
+      port: 0,
+      config: {
+        TTS_PROVIDERS: ['google'],
+        PERSISTENCE_ENABLED: false,
+        AUDIO_DIR: audioDir,
+        AUDIT_LOG_FILE: path.join(audioDir, 'audit.log'),
+        BREAKER_FAILURE_THRESHOLD: 2,
+        BREAKER_RESET_TIMEOUT: 30000,
+        PRELOAD_TIMEOUT: 50,
+        PRELOAD_RETRIES: 0
+      },
+      fetch: async (url) => {
+        fetchCount++;
+        if (new URL(url).searchParams.get('q') === '朋友') friendFetchStarted();
+        await new Promise(resolve => setTimeout(resolve, 100));
+        if (failing) throw new Error('Upstream responded with status 503');
+        return { body: Buffer.from('FAKE AUDIO'), contentType: 'audio/mpeg' };
+      },
+      clock: { now: () => now },
+      logger: { info() {}, warn() {}, error() {} }
+    });
+    
+    const server = await service.start();
+    const port = server.address().port;
+    
+    // Five concurrent plays of one clip share a single fetch
+    const audioResponse = await requestService(port, 'POST', '/audio', { text: '你好', ttl: 60 });
+    const plays = await Promise.all(Array.from({ length: 5 }, () =>
+      requestService(port, 'GET', audioResponse.data.audioUrl)));
+    const coalescedFetches = fetchCount;
+    
+    // A play that joins a preload's fetch outlasts the preload's timeout and
+    // still gets the audio, which is stored for the next play
+    const friend = await requestService(port, 'POST', '/audio', { text: '朋友' });
+    const friendPreload = await requestService(port, 'POST', '/preload', { texts: ['朋友'] });
+    await friendFetch;
+    const joinedPlay = await requestService(port, 'GET', friend.data.audioUrl);
+    const friendPreloadStatus = await requestService(port, 'GET', `/preload/${friendPreload.data.preloadId}`);
+    const storedPlay = await requestService(port, 'GET', friend.data.audioUrl);
+    const joinedFetches = fetchCount - coalescedFetches;
+    
+    // Once expired, the old bytes are served while the upstream fails
+    now += 120000;
+    failing = true;
+    const renewed = await requestService(port, 'POST', '/audio', { text: '你好', ttl: 60 });
+    const stalePlay = await requestService(port, 'GET', renewed.data.audioUrl);
+    
+    // A second failure opens the circuit and later plays fail fast
+    const other = await requestService(port, 'POST', '/audio', { text: '谢谢' });
+    const failedPlay = await requestService(port, 'GET', other.data.audioUrl);
+    const degraded = await requestService(port, 'GET', '/health');
+    const fetchesWhenOpened = fetchCount;
+    const rejectedPlay = await requestService(port, 'GET', other.data.audioUrl);
+    const fetchesWhenRejected = fetchCount;
+    
+    // After the reset timeout a preload that times out uses up the trial call
+    // without deciding it, and the next call gets to try
+    now += 30000;
+    const preload = await requestService(port, 'POST', '/preload', { texts: ['老师'] });
+    let abandoned;
+    for (let attempt = 0; attempt < 20; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      abandoned = await requestService(port, 'GET', `/preload/${preload.data.preloadId}`);
+      if (abandoned.data.status !== 'processing') break;
+    }
+    
+    // A successful trial call closes the circuit
+    failing = false;
+    const trialPlay = await requestService(port, 'GET', other.data.audioUrl);
+    const recovered = await requestService(port, 'GET', '/health');
+    
+    await service.stop();
+    fs.rmSync(audioDir, { recursive: true, force: true });
+    
+    if (plays.every(play => play.status === 200 && play.body === 'FAKE AUDIO') && coalescedFetches === 1 &&
+        friendPreloadStatus.data.results[0].timeout === true &&
+        joinedPlay.status === 200 && joinedPlay.body === 'FAKE AUDIO' &&
+        storedPlay.headers['x-audio-cache'] === 'HIT' && joinedFetches === 1 &&
+        stalePlay.status === 200 && stalePlay.headers['x-audio-cache'] === 'STALE' &&
+        failedPlay.status === 500 &&
+        degraded.data.status === 'degraded' && degraded.data.providers.google.circuit.state === 'open' &&
+        rejectedPlay.status === 503 && rejectedPlay.headers['retry-after'] && fetchesWhenRejected === fetchesWhenOpened &&
+        abandoned.data.results[0].timeout === true &&
+        trialPlay.status === 200 && recovered.data.status === 'healthy') {
+      console.log('✅ PASS - Concurrent plays coalesced, circuit opened and closed, stale audio served');
+      console.log(`   Fetches for 5 plays: ${coalescedFetches}, open circuit: ${rejectedPlay.status} (Retry-After ${rejectedPlay.headers['retry-after']}s)`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Coalescing or circuit breaker not working as expected');
+      console.log('   Statuses:', plays.map(play => play.status), coalescedFetches, joinedPlay.status,
+        storedPlay.headers['x-audio-cache'], joinedFetches, stalePlay.status,
+        failedPlay.status, degraded.data.status, rejectedPlay.status, abandoned.data.results, trialPlay.status,
+        recovered.data.status);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Circuit breaker error:', error.message);
+    failed++;
+  }
+  
+  // Test 29: Structured logs with request IDs and redaction
+  console.log('\nTest 29: Structured Logging');
+  try {
+    const { createAudioService } = require('./server');
+    const audioDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-service-'));
+    const records = [];
+    const capture = record => records.push(record);
+    
+    const service = createAudioService({
+      port: 0,
+      config: {
+        TTS_PROVIDERS: ['google'],
+        PERSISTENCE_ENABLED: false,
+        AUDIO_DIR: audioDir,
+        AUDIT_LOG_FILE: path.join(audioDir, 'audit.log'),
+        LOG_LEVEL: 'debug'
+      },
+      fetch: async (url) => {
+        if (new URL(url).searchParams.get('q') === '再见') {
+          await new Promise(resolve => setTimeout(resolve, 200));
+        }
+        return { body: Buffer.from('FAKE AUDIO'), contentType: 'audio/mpeg' };
+      },
+      logger: { debug: capture, info: capture, warn: capture, error: capture }
+    });
+    
+    const server = await service.start();
+    const port = server.address().port;
+    const audioResponse = await requestService(port, 'POST', '/audio', { text: '你好' }, { 'X-Request-Id': 'lesson-42' });
+    const generated = await requestService(port, 'POST', '/audio', { text: '你好' });
+    await requestService(port, 'GET', `${audioResponse.data.audioUrl}?apiKey=secret-key-123`);
+    
+    // Hang up on a slow play; the request is still logged, once
+    const slowResponse = await requestService(port, 'POST', '/audio', { text: '再见' });
+    await new Promise(resolve => {
+      const req = http.get({ hostname: 'localhost', port, path: slowResponse.data.audioUrl, headers: AUTH_HEADERS });
+      req.on('error', resolve);
+      setTimeout(() => {
+        req.destroy();
+        resolve();
+      }, 50);
+    });
+    const preloadResponse = await requestService(port, 'POST', '/preload', { texts: ['谢谢'] }, { 'X-Request-Id': 'deck-warmup' });
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await service.stop();
+    fs.rmSync(audioDir, { recursive: true, force: true });
+    
+    const accessLog = records.filter(record => record.msg === 'request');
+    const audioLog = accessLog.find(record => record.requestId === 'lesson-42');
+    const playLog = accessLog.find(record => record.route === '/play/:cacheKey');
+    const abortedLogs = accessLog.filter(record => record.path === slowResponse.data.audioUrl);
+    const preloadLog = records.find(record => record.msg === 'Preloaded text');
+    
+    if (audioResponse.headers['x-request-id'] === 'lesson-42' && /^[0-9a-f-]{36}$/.test(generated.headers['x-request-id']) &&
+        audioLog && audioLog.route === '/audio' && audioLog.status === 200 && audioLog.cache === 'miss' &&
+        typeof audioLog.latencyMs === 'number' && audioLog.aborted === undefined &&
+        accessLog.filter(record => record.requestId === 'lesson-42').length === 1 &&
+        abortedLogs.length === 1 && abortedLogs[0].aborted === true &&
+        accessLog.some(record => record.requestId === generated.headers['x-request-id'] && record.cache === 'hit') &&
+        playLog && playLog.cache === 'miss' && playLog.path.includes('apiKey=[REDACTED]') &&
+        !JSON.stringify(records).includes('secret-key-123') &&
+        preloadResponse.status === 200 && preloadLog && preloadLog.requestId === 'deck-warmup') {
+      console.log('✅ PASS - JSON log records carry request IDs into background work, secrets redacted');
+      console.log(`   ${records.length} records, access log: ${audioLog.method} ${audioLog.route} ${audioLog.status} ${audioLog.cache}`);
+      console.log(`   Aborted play logged after ${abortedLogs[0].latencyMs}ms`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Structured logging not working as expected');
+      console.log('   Records:', accessLog.slice(0, 3), abortedLogs, preloadLog);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Structured logging error:', error.message);
+    failed++;
+  }
+  
+  // Test 30: Preload jobs survive a restart
+  console.log('\nTest 30: Durable Preload Queue');
+  try {
+    const { createAudioService } = require('./server');
+    const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-service-'));
+    const texts = ['一', '二', '三', '四', '五', '六'];
+    const fetchedTexts = [[], []];
+    
+    const startService = (run, delay) => createAudioService({
+      port: 0,
+      config: {
+        TTS_PROVIDERS: ['google'],
+        STATE_DIR: path.join(storageDir, 'state'),
+        AUDIO_DIR: path.join(storageDir, 'audio'),
+        AUDIT_LOG_FILE: path.join(storageDir, 'audit.log'),
+        PRELOAD_CONCURRENCY: 1
+      },
+      fetch: async (url) => {
+        fetchedTexts[run].push(new URL(url).searchParams.get('q'));
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return { body: Buffer.from(`AUDIO ${url}`), contentType: 'audio/mpeg' };
+      },
+      logger: { info() {}, warn() {}, error() {} }
+    });
+    
+    // Stop the first service while the preload is part way through
+    const first = startService(0, 200);
+    const firstPort = (await first.start()).address().port;
+    const preloadResponse = await requestService(firstPort, 'POST', '/preload', { texts });
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await first.stop({ drainTimeout: 2000 });
+    
+    // The second service picks up the remaining texts
+    const second = startService(1, 10);
+    const secondPort = (await second.start()).address().port;
+    await new Promise(resolve => setTimeout(resolve, 500));
+    const statusResponse = await requestService(secondPort, 'GET', `/preload/${preloadResponse.data.preloadId}`);
+    await second.stop();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+    
+    const results = statusResponse.data.results || [];
+    
+    if (statusResponse.status === 200 && statusResponse.data.status === 'completed' &&
+        results.map(result => result.text).join() === texts.join() && results.every(result => result.ok) &&
+        fetchedTexts[0].length > 0 && fetchedTexts[0].length < texts.length &&
+        fetchedTexts[0].concat(fetchedTexts[1]).sort().join() === [...texts].sort().join()) {
+      console.log('✅ PASS - Interrupted preload resumed after restart without repeating finished texts');
+      console.log(`   Before stop: ${fetchedTexts[0].join('')}, after restart: ${fetchedTexts[1].join('')}`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Preload was not resumed as expected');
+      console.log('   Status:', statusResponse.data.status, fetchedTexts, results.map(result => result.text));
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Durable queue error:', error.message);
+    failed++;
+  }
+  
+  // Test 31: Batch audio lookup with per-item errors, item limits and per-item rate limiting
+  console.log('\nTest 31: Batch Audio Lookup');
+  try {
+    const test = await startTestService({
+      config: { MAX_BATCH_ITEMS: 50, RATE_LIMITS: { batch: { capacity: 50, refillPerSecond: 0.001 } } }
+    });
+    
+    // Seed the cache so the first item is a hit
+    const seedResponse = await test.request('POST', '/audio', { text: '你好' });
+    const response = await test.request('POST', '/audio/batch', {
+      language: 'zh-CN',
+      items: [
+        { id: 'card-1', text: '你好' },
+        { id: 'card-2', text: 'hello' },
+        { id: 3, text: '学习', speed: 'slow' },
+        { id: 'card-4', text: '银行', language: 'fr-FR' }
+      ]
+    });
+    
+    // Larger than the default 100kb JSON limit of the other endpoints
+    const bulkItems = Array.from({ length: 40 }, (_, index) => ({ id: `bulk-${index}`, text: '你好'.repeat(500) }));
+    const bulkResponse = await test.request('POST', '/audio/batch', { items: bulkItems });
+    const emptyResponse = await test.request('POST', '/audio/batch', { items: [] });
+    const oversizedResponse = await test.request('POST', '/audio/batch', {
+      items: Array.from({ length: 51 }, () => ({ text: '你好' }))
+    });
+    
+    // 44 of 50 tokens are spent (the seeding /audio uses its own bucket), so
+    // 7 items are refused and 6 are not
+    const limitedResponse = await test.request('POST', '/audio/batch', {
+      items: Array.from({ length: 7 }, () => ({ text: '你好' }))
+    });
+    const lastResponse = await test.request('POST', '/audio/batch', {
+      items: Array.from({ length: 6 }, () => ({ text: '你好' }))
+    });
+    await test.stop();
+    const results = response.data.results || [];
+    
+    // With the default limits a full batch of a few hundred items goes through
+    const defaults = await startTestService();
+    const fullItems = Array.from({ length: 500 }, (_, index) => ({ id: index, text: '学习' }));
+    const fullResponse = await defaults.request('POST', '/audio/batch', { items: fullItems });
+    const secondFullResponse = await defaults.request('POST', '/audio/batch', { items: fullItems.slice(0, 300) });
+    await defaults.stop();
+    
+    if (seedResponse.status === 200 && response.status === 200 &&
+        results.map(result => result.id).join() === 'card-1,card-2,3,card-4' &&
+        results[0].success && results[0].cached === true && results[0].audioUrl.startsWith('/play/') &&
+        !results[1].success && results[1].error === 'Invalid Chinese text provided' &&
+        results[2].success && results[2].cached === false && results[2].speed === 'slow' &&
+        !results[3].success && results[3].error === 'Unsupported language' &&
+        response.data.succeeded === 2 && response.data.failed === 2 &&
+        bulkResponse.status === 200 && bulkResponse.data.succeeded === 40 &&
+        bulkResponse.data.results[39].id === 'bulk-39' &&
+        emptyResponse.status === 400 && oversizedResponse.status === 413 &&
+        limitedResponse.status === 429 && limitedResponse.headers['ratelimit-remaining'] === '6' &&
+        lastResponse.status === 200 && lastResponse.headers['ratelimit-remaining'] === '0' &&
+        fullResponse.status === 200 && fullResponse.data.succeeded === 500 &&
+        secondFullResponse.status === 200 && secondFullResponse.data.succeeded === 300) {
+      console.log('✅ PASS - Batch returned a result or error per item, matched by id, charged per item');
+      console.log(`   ${response.data.succeeded} succeeded, ${response.data.failed} failed; bulk: ${bulkResponse.data.count} items`);
+      console.log(`   Default limits: ${fullResponse.data.succeeded} and ${secondFullResponse.data.succeeded} item batches accepted`);
+      passed++;
+    } else {
+      console.log('❌ FAIL - Batch lookup not working as expected');
+      console.log('   Response:', response.status, results, bulkResponse.status, emptyResponse.status,
+        oversizedResponse.status, limitedResponse.status, lastResponse.status, fullResponse.status, fullResponse.data.details,
+        secondFullResponse.status);
+      failed++;
+    }
+  } catch (error) {
+    console.log('❌ FAIL - Batch lookup error:', error.message);
+    failed++;
+  }
+  
   // Test Summary
   console.log('\n' + '='.repeat(50));
   console.log('📊 TEST SUMMARY');